@@ -0,0 +1,254 @@
+/**
+ * Defines the campaign: a sequence of "semester" levels played on top of the endless game,
+ * and the CampaignProgress object saving which semesters were passed.
+ *
+ * Each semester is a timed run under its own rule set (see Rules.js): duration, spawn mix,
+ * speed curve (difficulty ramp) and objective. Passing a semester unlocks the next one.
+ * Semesters are described in data/campaign.json; when the file cannot be loaded or is
+ * invalid, the built-in DEFAULT_CAMPAIGN is used instead.
+ *
+ * File layout (JSON):
+ *  {
+ *    version: 1,
+ *    semesters: [
+ *      { id, name, rules: { duration, startLevel, maxLevel, ..., objective } }
+ *    ]
+ *  }
+ */
+
+/**
+ * Default location of the campaign definitions and the file layout version.
+ */
+const CAMPAIGN_URL = "./data/campaign.json";
+const CAMPAIGN_VERSION = 1;
+
+/**
+ * Storage key and schema version of the saved progress.
+ */
+const CAMPAIGN_PROGRESS_KEY = "campaign_progress";
+const CAMPAIGN_PROGRESS_VERSION = 1;
+
+/**
+ * Built-in semesters (mirrors data/campaign.json).
+ */
+const DEFAULT_CAMPAIGN = {
+    version: 1,
+    semesters: [
+        {
+            id: "S1",
+            name: "Semester 1",
+            rules: {
+                duration: 60,
+                startLevel: 1,
+                maxLevel: 4,
+                difficultyStepDuration: 12,
+                baseSpawnRate: 1.5,
+                weights: { Fx: 0.15, F: 0.08, Rattrapage: 0 },
+                waves: ["column"],
+                objective: { type: "score", target: 400 }
+            }
+        },
+        {
+            id: "S2",
+            name: "Semester 2",
+            rules: {
+                duration: 75,
+                startLevel: 2,
+                maxLevel: 6,
+                difficultyStepDuration: 10,
+                weights: { A: 0.08 },
+                waves: ["column", "zigzag"],
+                objective: { type: "catch", grade: "A", count: 3 }
+            }
+        },
+        {
+            id: "S3",
+            name: "Semester 3",
+            rules: {
+                duration: 75,
+                startLevel: 3,
+                maxLevel: 8,
+                difficultyStepDuration: 10,
+                waves: ["column", "zigzag"],
+                objective: { type: "average", target: 12, minCatches: 10 }
+            }
+        },
+        {
+            id: "S4",
+            name: "Semester 4",
+            rules: {
+                duration: 90,
+                startLevel: 4,
+                maxLevel: 10,
+                difficultyStepDuration: 9,
+                weights: { A: 0.07 },
+                waves: ["column", "zigzag", "wallOfF"],
+                objective: { type: "catch", grade: "A", count: 5, forbidden: ["F", "Fx"] }
+            }
+        },
+        {
+            id: "S5",
+            name: "Semester 5",
+            rules: {
+                duration: 90,
+                startLevel: 5,
+                maxLevel: 12,
+                difficultyStepDuration: 8,
+                objective: { type: "average", target: 14, minCatches: 15 }
+            }
+        },
+        {
+            id: "S6",
+            name: "Final exams",
+            rules: {
+                duration: 120,
+                startLevel: 6,
+                maxLevel: 15,
+                difficultyStepDuration: 8,
+                weights: { Fx: [[6, 0.3], [15, 0.4]], F: [[6, 0.2], [15, 0.28]] },
+                objective: { type: "survive" }
+            }
+        }
+    ]
+};
+
+/**
+ * Validates campaign definitions and compiles each semester's rule set.
+ * Rule sets are registered as "campaign:<semester id>".
+ *
+ * @param {Object} data - Parsed definitions file
+ * @returns {Array<{id: string, name: string, index: number, rules: Object}>} Semesters, in play order
+ * @throws {Error} When the definitions are invalid (the message names the culprit)
+ */
+function compileCampaign(data) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.semesters)) {
+        throw new Error(`Invalid campaign: missing "semesters" list.`);
+    }
+    if (data.version !== CAMPAIGN_VERSION) {
+        throw new Error(`Invalid campaign: unsupported version ${data.version}.`);
+    }
+    if (data.semesters.length === 0) {
+        throw new Error("Invalid campaign: the list is empty.");
+    }
+
+    const ids = new Set();
+
+    return data.semesters.map((def, i) => {
+        if (!def || typeof def.id !== "string" || def.id === "" || ids.has(def.id)) {
+            throw new Error(`Invalid campaign: semester #${i + 1} needs a unique "id".`);
+        }
+        ids.add(def.id);
+
+        if (typeof def.name !== "string" || def.name.trim() === "") {
+            throw new Error(`Invalid campaign: "${def.id}" needs a "name".`);
+        }
+
+        // Semesters are timed and graded.
+        const rules = def.rules ?? {};
+        if (rules.duration === undefined || rules.objective === undefined) {
+            throw new Error(`Invalid campaign: "${def.id}" needs a "duration" and an "objective".`);
+        }
+
+        try {
+            return {
+                id: def.id,
+                name: def.name,
+                index: i,
+                rules: registerRunRules({ ...rules, id: `campaign:${def.id}` })
+            };
+        } catch (e) {
+            throw new Error(`Invalid campaign: ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Loads the campaign from a definitions file, falling back to the built-in semesters.
+ * Never rejects: a missing or invalid file is reported in the console. When the built-in
+ * semesters name patterns missing from a custom data/waves.json, the built-in wave patterns
+ * are restored as well.
+ *
+ * @param {string} [url] - Definitions file location
+ * @returns {Promise<Array<Object>>} Compiled semesters
+ */
+async function loadCampaign(url = CAMPAIGN_URL) {
+    try {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (HTTP ${response.status}).`);
+        }
+
+        return compileCampaign(await response.json());
+    } catch (e) {
+        console.warn(`${e.message} Using the built-in campaign.`);
+    }
+
+    try {
+        return compileCampaign(DEFAULT_CAMPAIGN);
+    } catch (e) {
+        console.warn(`${e.message} Using the built-in wave patterns.`);
+        replaceWavePatterns(DEFAULT_WAVE_PATTERNS.patterns);
+        return compileCampaign(DEFAULT_CAMPAIGN);
+    }
+}
+
+/**
+ * CampaignProgress constructor.
+ *
+ * @constructor
+ * @param {Storage} storage - Storage holding the progress (normally localStorage)
+ */
+function CampaignProgress(storage) {
+    this.store = new VersionedStore(storage, CAMPAIGN_PROGRESS_KEY, CAMPAIGN_PROGRESS_VERSION, "semesters");
+    this.data = this.store.load();
+}
+
+/**
+ * Groups CampaignProgress prototype methods.
+ */
+const campaignProgressPrototype = {
+    /**
+     * Returns the saved record of a semester.
+     *
+     * @param {string} id - Semester identifier
+     * @returns {{passed: boolean, bestScore: number, attempts: number}|null} Record, or null if never played
+     */
+    getRecord(id) {
+        return this.data.semesters[id] ?? null;
+    },
+
+    /**
+     * Tells whether a semester can be played: the first one always, the others once
+     * the previous semester has been passed.
+     *
+     * @param {Array<Object>} semesters - Campaign semesters, in play order
+     * @param {number} index - Semester index
+     * @returns {boolean} True when unlocked
+     */
+    isUnlocked(semesters, index) {
+        return index === 0 || Boolean(this.getRecord(semesters[index - 1].id)?.passed);
+    },
+
+    /**
+     * Records the outcome of a semester run and saves the progress.
+     *
+     * @param {string} id - Semester identifier
+     * @param {boolean} passed - Whether the semester was passed
+     * @param {number} score - Final score of the run
+     */
+    record(id, passed, score) {
+        const current = this.getRecord(id) ?? { passed: false, bestScore: 0, attempts: 0 };
+
+        this.data.semesters[id] = {
+            passed: current.passed || passed,
+            bestScore: Math.max(current.bestScore, score),
+            attempts: current.attempts + 1
+        };
+
+        this.store.save(this.data);
+    }
+};
+
+// Assigns the grouped methods to the CampaignProgress prototype.
+Object.assign(CampaignProgress.prototype, campaignProgressPrototype);
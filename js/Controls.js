@@ -0,0 +1,238 @@
+/**
+ * Defines control profiles: the key bound to each player action, the pointer control
+ * scheme and character of each player, and the ControlProfiles object saving the players' choices.
+ *
+ * A binding stores the key code matched against KeyboardEvent.code (layout independent)
+ * and the label shown to players, taken from KeyboardEvent.key when the key was bound,
+ * so hints read "Q" on an AZERTY keyboard for the "KeyA" code.
+ *
+ * Profile document (local storage):
+ *  {
+ *    version: 1,
+ *    players: { "Player 1": { left: { code, label }, right: { code, label }, dash: { code, label }, pointer, character }, ... }
+ *  }
+ */
+
+/**
+ * Rebindable player actions, in display order.
+ */
+const CONTROL_ACTIONS = [
+    { id: "left", label: "Move left" },
+    { id: "right", label: "Move right" },
+    { id: "dash", label: "Dash" }
+];
+
+/**
+ * Default bindings of each player (AZERTY-friendly: Q/D and Z for Player 1, arrows for Player 2).
+ */
+const DEFAULT_CONTROLS = {
+    "Player 1": {
+        left: { code: "KeyA", label: "Q" },
+        right: { code: "KeyD", label: "D" },
+        dash: { code: "KeyW", label: "Z" }
+    },
+    "Player 2": {
+        left: { code: "ArrowLeft", label: "←" },
+        right: { code: "ArrowRight", label: "→" },
+        dash: { code: "ArrowUp", label: "↑" }
+    }
+};
+
+/**
+ * Pointer control schemes (mouse, pen and touch), the first one being the default:
+ * touching a canvas half moves that way, or the student eases toward the pointer.
+ */
+const POINTER_SCHEMES = [
+    { id: "halves", label: "Screen halves" },
+    { id: "follow", label: "Follow pointer" }
+];
+
+/**
+ * Key codes kept by the menus (including the GPA and exam session shortcuts), the pause
+ * shortcuts and the hitbox overlay, which cannot be bound to an action.
+ */
+const RESERVED_CONTROL_CODES = ["Enter", "Escape", "Space", "KeyP", "KeyG", "KeyE", "F2"];
+
+/**
+ * Storage key and schema version of the saved profiles.
+ */
+const CONTROL_PROFILES_KEY = "control_profiles";
+const CONTROL_PROFILES_VERSION = 1;
+
+/**
+ * Returns the label of a key for hints and the controls screen.
+ *
+ * @param {KeyboardEvent} e - Key press being bound
+ * @returns {string} Short uppercase label (arrows are drawn as such)
+ */
+function controlKeyLabel(e) {
+    const arrows = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+
+    if (arrows[e.code]) return arrows[e.code];
+
+    return String((e.key && e.key !== "Unidentified") ? e.key : e.code).toUpperCase();
+}
+
+/**
+ * ControlProfiles constructor.
+ *
+ * @constructor
+ * @param {Storage} storage - Storage holding the profiles (normally localStorage)
+ */
+function ControlProfiles(storage) {
+    this.store = new VersionedStore(storage, CONTROL_PROFILES_KEY, CONTROL_PROFILES_VERSION, "players");
+    this.data = this.store.load();
+}
+
+/**
+ * Groups ControlProfiles prototype methods.
+ */
+const controlProfilesPrototype = {
+    /**
+     * Returns the binding of a player action, falling back to the default one (also when
+     * the saved key has since been reserved for the menus).
+     *
+     * @param {string} user - Player identifier ("Player 1" or "Player 2")
+     * @param {string} action - Action identifier (see CONTROL_ACTIONS)
+     * @returns {{code: string, label: string}} Binding
+     */
+    getBinding(user, action) {
+        const saved = this.data.players[user]?.[action];
+
+        return (typeof saved?.code === "string" && typeof saved.label === "string"
+            && !RESERVED_CONTROL_CODES.includes(saved.code))
+            ? saved
+            : DEFAULT_CONTROLS[user][action];
+    },
+
+    /**
+     * Returns the key code bound to each action of a player.
+     *
+     * @param {string} user - Player identifier
+     * @returns {Object<string, string>} Key codes keyed by action identifier
+     */
+    getKeyCodes(user) {
+        return Object.fromEntries(CONTROL_ACTIONS.map((a) => [a.id, this.getBinding(user, a.id).code]));
+    },
+
+    /**
+     * Finds the action a key is already bound to, other than the one being rebound.
+     * Covers the actions of every player, so both players never share a key.
+     *
+     * @param {string} code - Key code about to be bound
+     * @param {string} user - Player being rebound
+     * @param {string} action - Action being rebound
+     * @returns {{user: string, action: string}|null} Conflicting binding, or null when the key is free
+     */
+    findConflict(code, user, action) {
+        for (const other of Object.keys(DEFAULT_CONTROLS)) {
+            for (const { id } of CONTROL_ACTIONS) {
+                if ((other !== user || id !== action) && this.getBinding(other, id).code === code) {
+                    return { user: other, action: id };
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Binds a key to a player action, then saves.
+     * Callers check reserved keys and conflicts first (see findConflict).
+     *
+     * @param {string} user - Player identifier
+     * @param {string} action - Action identifier
+     * @param {string} code - Key code (KeyboardEvent.code)
+     * @param {string} label - Key label shown to players
+     */
+    bind(user, action, code, label) {
+        this.data.players[user] = { ...this.data.players[user], [action]: { code, label } };
+        this.store.save(this.data);
+    },
+
+    /**
+     * Returns the pointer control scheme of a player.
+     *
+     * @param {string} user - Player identifier
+     * @returns {string} Scheme identifier (see POINTER_SCHEMES)
+     */
+    getPointerScheme(user) {
+        const saved = this.data.players[user]?.pointer;
+
+        return POINTER_SCHEMES.some((s) => s.id === saved) ? saved : POINTER_SCHEMES[0].id;
+    },
+
+    /**
+     * Selects the pointer control scheme of a player, then saves.
+     *
+     * @param {string} user - Player identifier
+     * @param {string} scheme - Scheme identifier (see POINTER_SCHEMES)
+     */
+    setPointerScheme(user, scheme) {
+        this.data.players[user] = { ...this.data.players[user], pointer: scheme };
+        this.store.save(this.data);
+    },
+
+    /**
+     * Returns the character of a player (see CHARACTER_TUNINGS), the first one by default.
+     *
+     * @param {string} user - Player identifier
+     * @returns {string} Character identifier
+     */
+    getCharacter(user) {
+        const saved = this.data.players[user]?.character;
+
+        return Object.prototype.hasOwnProperty.call(CHARACTER_TUNINGS, saved) ? saved : Object.keys(CHARACTER_TUNINGS)[0];
+    },
+
+    /**
+     * Selects the character of a player, then saves.
+     *
+     * @param {string} user - Player identifier
+     * @param {string} character - Character identifier (see CHARACTER_TUNINGS)
+     */
+    setCharacter(user, character) {
+        this.data.players[user] = { ...this.data.players[user], character };
+        this.store.save(this.data);
+    },
+
+    /**
+     * Restores the default bindings, pointer schemes and characters of every player, then saves.
+     */
+    reset() {
+        this.data.players = {};
+        this.store.save(this.data);
+    },
+
+    /**
+     * Builds the movement hint shown on the start screen from the active bindings
+     * and pointer schemes.
+     *
+     * @returns {string} Hint text (e.g. "PRESS Q/D (P1), ←/→ (P2) OR TOUCH SCREEN RIGHT/LEFT TO MOVE")
+     */
+    describeMovement() {
+        const users = Object.keys(DEFAULT_CONTROLS);
+        const keys = users.map((user, i) =>
+            `${this.getBinding(user, "left").label}/${this.getBinding(user, "right").label} (P${i + 1})`);
+        const halves = users.every((user) => this.getPointerScheme(user) === "halves");
+
+        return `PRESS ${keys.join(", ")} OR ${halves ? "TOUCH SCREEN RIGHT/LEFT" : "POINT ON SCREEN"} TO MOVE`;
+    },
+
+    /**
+     * Builds the dash hint shown on the start screen from the active bindings. The double tap
+     * is only mentioned when a player follows the pointer, the one scheme where it dashes.
+     *
+     * @returns {string} Hint text (e.g. "PRESS Z (P1), ↑ (P2) TO DASH")
+     */
+    describeDash() {
+        const users = Object.keys(DEFAULT_CONTROLS);
+        const keys = users.map((user, i) => `${this.getBinding(user, "dash").label} (P${i + 1})`);
+        const follow = users.some((user) => this.getPointerScheme(user) === "follow");
+
+        return `PRESS ${keys.join(", ")}${follow ? " OR DOUBLE TAP" : ""} TO DASH`;
+    }
+};
+
+// Assigns the grouped methods to the ControlProfiles prototype.
+Object.assign(ControlProfiles.prototype, controlProfilesPrototype);
@@ -0,0 +1,137 @@
+/**
+ * Defines the daily exam: a run shared by every player on a given day, and the
+ * DailyAttempts object remembering who already took today's ranked attempt.
+ *
+ * The daily run is played under DAILY_EXAM_RULES on a seed derived from the local date,
+ * on the single-player canvas, so everyone faces exactly the same rain of grades that
+ * day. Each player name gets one ranked attempt per day, recorded as soon as it starts
+ * (quitting does not give a second chance); later runs of the day are unranked practice.
+ * Ranked scores go to a board of their own for the day ("DAILY-YYYY-MM-DD"); only the boards
+ * of the last DAILY_DAYS_KEPT days are kept.
+ */
+
+/**
+ * Storage key and schema version of the attempts record.
+ */
+const DAILY_ATTEMPTS_KEY = "daily_attempts";
+const DAILY_ATTEMPTS_VERSION = 1;
+
+/**
+ * Number of days kept by the attempts record and by the daily boards.
+ */
+const DAILY_DAYS_KEPT = 7;
+
+/**
+ * Prefix of the daily boards' mode identifiers.
+ */
+const DAILY_MODE_PREFIX = "DAILY-";
+
+/**
+ * Returns the key of a day in local time.
+ *
+ * @param {Date} [date] - Moment in the day; defaults to now
+ * @returns {string} Day key ("YYYY-MM-DD")
+ */
+function dailyDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the seed of the daily run of a day.
+ *
+ * @param {string} dateKey - Day key ("YYYY-MM-DD")
+ * @returns {number} Unsigned 32-bit seed
+ */
+function dailySeed(dateKey) {
+    return seedFromText(`daily-exam:${dateKey}`);
+}
+
+/**
+ * Returns the leaderboard mode of the daily board of a day.
+ *
+ * @param {string} dateKey - Day key ("YYYY-MM-DD")
+ * @returns {string} Mode identifier ("DAILY-YYYY-MM-DD")
+ */
+function dailyLeaderboardMode(dateKey) {
+    return `${DAILY_MODE_PREFIX}${dateKey}`;
+}
+
+/**
+ * Tells whether a board is the board of a daily exam.
+ *
+ * @param {string} mode - Mode identifier
+ * @returns {boolean} True for daily boards
+ */
+function isDailyMode(mode) {
+    return mode.startsWith(DAILY_MODE_PREFIX);
+}
+
+/**
+ * Deletes the daily boards older than the last DAILY_DAYS_KEPT days.
+ *
+ * @param {LeaderboardStore} store - Leaderboard holding the daily boards
+ */
+function pruneDailyBoards(store) {
+    // Mode identifiers of daily boards sort chronologically.
+    const modes = store.getModes().filter(isDailyMode).sort();
+
+    for (const mode of modes.slice(0, Math.max(0, modes.length - DAILY_DAYS_KEPT))) {
+        store.clear(mode);
+    }
+}
+
+/**
+ * DailyAttempts constructor.
+ *
+ * @constructor
+ * @param {Storage} storage - Storage holding the attempts (normally localStorage)
+ */
+function DailyAttempts(storage) {
+    this.store = new VersionedStore(storage, DAILY_ATTEMPTS_KEY, DAILY_ATTEMPTS_VERSION, "days");
+    this.data = this.store.load();
+}
+
+/**
+ * Groups DailyAttempts prototype methods.
+ */
+const dailyAttemptsPrototype = {
+    /**
+     * Tells whether a player already took the ranked attempt of a day.
+     *
+     * @param {string} dateKey - Day key ("YYYY-MM-DD")
+     * @param {string} name - Player display name
+     * @returns {boolean} True once the ranked attempt was started
+     */
+    hasRanked(dateKey, name) {
+        return (this.data.days[dateKey] ?? []).includes(name);
+    },
+
+    /**
+     * Records the ranked attempt of a player for a day, then saves.
+     * Forgets the oldest days beyond DAILY_DAYS_KEPT.
+     *
+     * @param {string} dateKey - Day key ("YYYY-MM-DD")
+     * @param {string} name - Player display name
+     */
+    markRanked(dateKey, name) {
+        const names = this.data.days[dateKey] ?? [];
+
+        if (!names.includes(name)) {
+            this.data.days[dateKey] = [...names, name];
+        }
+
+        // Day keys sort chronologically.
+        const days = Object.keys(this.data.days).sort();
+        for (const day of days.slice(0, Math.max(0, days.length - DAILY_DAYS_KEPT))) {
+            delete this.data.days[day];
+        }
+
+        this.store.save(this.data);
+    }
+};
+
+// Assigns the grouped methods to the DailyAttempts prototype.
+Object.assign(DailyAttempts.prototype, dailyAttemptsPrototype);
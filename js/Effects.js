@@ -0,0 +1,175 @@
+/**
+ * Defines timed gameplay effects (granted by power-up notes) and the ActiveEffects
+ * object that tracks them for a Game instance.
+ *
+ * Effects run on simulated time (advanced by Game.tick), so they pause with the game
+ * and replay identically. Each definition declares how a new pickup combines with an
+ * effect that is already active:
+ *  - "refresh": restarts the timer at full duration;
+ *  - "extend": adds the full duration to the remaining time, up to maxDuration;
+ *  - "stack": adds one stack (up to maxStacks) and restarts the timer.
+ *
+ * Stacks are also consumable: the shield loses one stack per absorbed hit and ends
+ * when none are left.
+ */
+
+/**
+ * Effect catalogue, keyed by effect identifier.
+ * Durations are in seconds; label and color are used by the HUD timers.
+ */
+const EFFECT_DEFINITIONS = {
+    shield: {
+        label: "SHIELD",
+        color: "#00faff",
+        duration: 12,
+        stacking: "stack",
+        maxStacks: 3
+    },
+    magnet: {
+        label: "MAGNET",
+        color: "#ff00c8",
+        duration: 8,
+        stacking: "extend",
+        maxDuration: 20,
+        pullSpeed: 420 // px/s applied horizontally to good grades
+    },
+    slowmo: {
+        label: "SLOW-MO",
+        color: "#39ff14",
+        duration: 6,
+        stacking: "refresh",
+        speedScale: 0.5 // factor applied to every note's falling speed
+    },
+    double: {
+        label: "SCORE",
+        color: "#fff700",
+        duration: 10,
+        stacking: "stack",
+        maxStacks: 2 // x2, then x3
+    }
+};
+
+/**
+ * ActiveEffects constructor.
+ *
+ * @constructor
+ * @param {Object} [definitions] - Effect catalogue (defaults to EFFECT_DEFINITIONS)
+ */
+function ActiveEffects(definitions = EFFECT_DEFINITIONS) {
+    this.definitions = definitions;
+
+    // Active effects keyed by identifier: { remaining, duration, stacks }.
+    this.active = {};
+}
+
+/**
+ * Groups ActiveEffects prototype methods.
+ */
+const activeEffectsPrototype = {
+    /**
+     * Activates an effect, or combines it with the active one according to its stacking rule.
+     *
+     * @param {string} id - Effect identifier (key of the catalogue)
+     * @param {number} [duration] - Duration override in seconds
+     */
+    grant(id, duration) {
+        const def = this.definitions[id];
+        if (!def) return;
+
+        const full = duration ?? def.duration;
+        const current = this.active[id];
+
+        if (!current) {
+            this.active[id] = { remaining: full, duration: full, stacks: 1 };
+            return;
+        }
+
+        if (def.stacking === "extend") {
+            current.remaining = Math.min(current.remaining + full, def.maxDuration ?? Infinity);
+            current.duration = Math.max(current.duration, current.remaining);
+        }
+        else if (def.stacking === "stack") {
+            current.stacks = Math.min(current.stacks + 1, def.maxStacks ?? Infinity);
+            current.remaining = full;
+            current.duration = full;
+        }
+        else {
+            current.remaining = full;
+            current.duration = full;
+        }
+    },
+
+    /**
+     * Tells whether an effect is active.
+     *
+     * @param {string} id - Effect identifier
+     * @returns {boolean} True while the effect lasts
+     */
+    has(id) {
+        return Boolean(this.active[id]);
+    },
+
+    /**
+     * Returns the stack count of an effect.
+     *
+     * @param {string} id - Effect identifier
+     * @returns {number} Stacks, or 0 when the effect is inactive
+     */
+    stacks(id) {
+        return this.active[id]?.stacks ?? 0;
+    },
+
+    /**
+     * Uses up one stack of an effect, ending it when none are left.
+     *
+     * @param {string} id - Effect identifier
+     * @returns {boolean} True when a stack was available
+     */
+    consume(id) {
+        const current = this.active[id];
+        if (!current) return false;
+
+        current.stacks--;
+        if (current.stacks <= 0) {
+            delete this.active[id];
+        }
+
+        return true;
+    },
+
+    /**
+     * Advances every effect timer and drops expired effects.
+     *
+     * @param {number} dt - Simulated time step in seconds
+     */
+    update(dt) {
+        for (const id of Object.keys(this.active)) {
+            this.active[id].remaining -= dt;
+
+            if (this.active[id].remaining <= 0) {
+                delete this.active[id];
+            }
+        }
+    },
+
+    /**
+     * Removes every active effect.
+     */
+    clear() {
+        this.active = {};
+    },
+
+    /**
+     * Lists active effects in catalogue order, for HUD rendering.
+     *
+     * @returns {Array<{id: string, def: Object, remaining: number, duration: number, stacks: number}>}
+     */
+    list() {
+        return Object.keys(this.definitions)
+            .filter((id) => this.active[id])
+            .map((id) => ({ id, def: this.definitions[id], ...this.active[id] }));
+    }
+};
+
+// Assigns the grouped methods to the ActiveEffects prototype.
+Object.assign(ActiveEffects.prototype, activeEffectsPrototype);
@@ -3,7 +3,8 @@
  *
  * Owns the following responsibilities:
  *  - Owns all mutable runtime state (score, lives, difficulty, entities, input).
- *  - Runs the update/render loop.
+ *  - Runs the update/render loop around a fixed-timestep accumulator, so the
+ *    simulation advances identically regardless of the display refresh rate.
  *  - Handles spawning and collisions.
  *  - Exposes helper methods consumed by NoteType strategies (onCatch).
  *
@@ -11,6 +12,62 @@
  * keeping Game largely free of per-letter branching.
  */
 
+/**
+ * Labels of the in-canvas pause menu, in display order.
+ * Indices match the actions dispatched by the menu controller (resume, restart, quit).
+ */
+const PAUSE_MENU_OPTIONS = ["RESUME", "RESTART", "QUIT TO MENU"];
+
+/**
+ * Combo thresholds and the score multiplier they unlock, in ascending order.
+ * A combo counts consecutive scoring catches; damage (and missing an A) breaks it.
+ */
+const COMBO_TIERS = [
+    { combo: 0, multiplier: 1 },
+    { combo: 10, multiplier: 2 },
+    { combo: 25, multiplier: 3 },
+    { combo: 50, multiplier: 4 }
+];
+
+/**
+ * Movement tuning and hitbox of each playable character, selected with the "character" option
+ * (chosen per player on the controls screen, which shows the label).
+ * Speeds are in px/s, acceleration and friction in px/s², durations in seconds: the character
+ * speeds up toward maxSpeed while a direction is held, slows down by friction once released,
+ * and dashes at dashSpeed for dashDuration, at most once per dashCooldown.
+ * The hitbox is laid out on the sprite box (see Hitbox.js).
+ */
+const CHARACTER_TUNINGS = {
+    student: {
+        label: "Student",
+        maxSpeed: 600,
+        acceleration: 6000,
+        friction: 4500,
+        dashSpeed: 1800,
+        dashDuration: 0.12,
+        dashCooldown: 0.9,
+        // The head and the body below it: grades brushing the cap or the shoulders miss.
+        hitbox: [
+            { type: "circle", x: 0.45, y: 0.3, radius: 0.3 },
+            { type: "rect", inset: [0.48, 0.1, 0, 0.18] }
+        ]
+    },
+    athlete: {
+        label: "Athlete",
+        // Faster and dashing further, but slow to stop and to recharge: it overshoots grades.
+        maxSpeed: 720,
+        acceleration: 4000,
+        friction: 2500,
+        dashSpeed: 2100,
+        dashDuration: 0.12,
+        dashCooldown: 1.3,
+        hitbox: [
+            { type: "circle", x: 0.45, y: 0.3, radius: 0.3 },
+            { type: "rect", inset: [0.48, 0.1, 0, 0.18] }
+        ]
+    }
+};
+
 /**
  * Game constructor.
  * Initializes rendering bindings, player configuration, asset references,
@@ -21,15 +78,24 @@
  */
 function Game(opts) {
     // Canvas and 2D rendering context used for all draw operations.
+    // Headless instances (ghosts) only simulate: they get a size-only canvas and no context.
     this.canvas = opts.canvas;
     this.ctx = opts.ctx;
+    this.headless = opts.headless ?? false;
 
-    // Player/multiplayer configuration and input mapping.
-    this.numberOfPlayers = opts.numberOfPlayers;
+    // Player configuration and input mapping.
     this.user = opts.user;
     this.username = this.user.toUpperCase();
     this.arrowLeft = opts.arrowLeft;
     this.arrowRight = opts.arrowRight;
+    this.dashKey = opts.dashKey ?? null;
+
+    // Movement and dash hints of the start screen, generated from the active bindings (see ControlProfiles).
+    this.controlsHint = opts.controlsHint ?? "";
+    this.dashHint = opts.dashHint ?? "";
+
+    // Debug overlay outlining the player and note hitboxes over the sprites.
+    this.showHitboxes = opts.showHitboxes ?? false;
 
     // Image assets consumed by the renderer.
     this.background = opts.background;
@@ -50,21 +116,92 @@ function Game(opts) {
     this.score = 0;
     this.lives = 3; // supports halves (e.g., 2.5)
 
-    // Run state flags controlling rendering and transition behavior.
-    this.gameStarted = false;
-    this.previewed = false;
-    this.isGameOver = false;
-    this.gameOverAlreadyHandled = false;
-    this.dead = false;
+    // Combo state: consecutive scoring catches, and the best streak of the run.
+    this.combo = 0;
+    this.bestCombo = 0;
+
+    // Note types whose miss (falling out of the canvas) breaks the combo.
+    this.comboBreakingMisses = opts.comboBreakingMisses ?? ["A"];
+
+    // Run lifecycle (Idle -> Running -> Dying -> Over) driving rendering and transitions.
+    this.phase = this.createPhaseMachine();
+    this.booted = false;
 
     // Input state flags updated by DOM event handlers.
     this.rightPressed = false;
     this.leftPressed = false;
-    this.directionToken = true;
-
-    // Difficulty ramp state and scheduler handle.
+    this.dashPressed = false;
+
+    // Gamepad state of the pad assigned to this player (see GamepadInput): d-pad directions,
+    // the stick tilt in [-1, 1] scaling the movement speed (0 at rest), and the dash button.
+    this.padLeft = false;
+    this.padRight = false;
+    this.padAxis = 0;
+    this.padDash = false;
+
+    // Double-tap dash gesture (touch and pen, follow scheme only): the last tap
+    // ({ pointerId, half, time }), and a dash requested for the next tick.
+    // Two taps closer than doubleTapDelay (ms) on the same canvas half make a double tap.
+    this.lastTap = null;
+    this.dashGesture = false;
+    this.doubleTapDelay = opts.doubleTapDelay ?? 300;
+
+    // Pointer control scheme: "halves" (touching a canvas half moves that way) or "follow"
+    // (the student eases toward the pointer). In follow mode, pointerX is the canvas X the
+    // pointer designates (null when none), and pointerId the touch or pen being followed.
+    this.pointerScheme = opts.pointerScheme ?? "halves";
+    this.pointerX = null;
+    this.pointerId = null;
+
+    // Movement input in effect for the current tick, merged from every live source
+    // or read from the replay being played (see applyTickInput).
+    this.input = { left: false, right: false, axis: 0, target: null, dash: false };
+
+    // Fixed-timestep simulation settings. Every rate below is expressed per second
+    // so that gameplay does not depend on the display refresh rate.
+    this.fixedStep = opts.fixedStep ?? 1 / 60; // seconds per simulation step
+    this.maxFrameDelta = opts.maxFrameDelta ?? 0.25; // seconds; caps catch-up after long stalls
+    this.character = opts.character ?? "student"; // player's character (see CHARACTER_TUNINGS)
+    this.applyCharacter(this.character);
+    this.pointerMaxSpeed = opts.pointerMaxSpeed ?? 600; // px/s; caps pointer following so it stays fair
+    this.pointerEasing = opts.pointerEasing ?? 10; // 1/s; share of the distance to the pointer covered per second
+    this.baseSpawnRate = opts.baseSpawnRate ?? 1.8; // notes/s at difficulty 0
+    this.spawnRatePerLevel = opts.spawnRatePerLevel ?? 0.2; // notes/s added per difficulty level
+    this.difficultyStepDuration = opts.difficultyStepDuration ?? 5; // seconds per difficulty level
+    this.startDifficultyLevel = opts.startDifficultyLevel ?? 1;
+    this.maxDifficultyLevel = opts.maxDifficultyLevel ?? Infinity;
+    this.runDuration = opts.runDuration ?? null; // seconds; null for an endless run
+
+    // Rule set overriding the settings above for structured runs (see Rules.js), and the
+    // tracker of its objective for the current run.
+    this.rules = null;
+    this.objective = null;
+
+    // Frame timing state feeding the accumulator.
+    this.lastFrameTime = null;
+    this.accumulator = 0;
+
+    // Index of the next simulation tick; stamps recorded inputs.
+    this.tickCount = 0;
+    this.deathTick = null;
+
+    // Why the run ended: "lives" (depleted) or "time" (run duration elapsed).
+    this.endReason = null;
+
+    // Listener notified once the run is over (see MatchController).
+    this.onGameOver = null;
+
+    // Difficulty ramp state, advanced by simulated time rather than wall-clock timers.
     this.difficultyLevel = 1;
-    this.difficultyIntervalId = null;
+    this.difficultyRampActive = false;
+    this.difficultyElapsed = 0;
+
+    // Pause state. Animation timestamps are read from a clock that stops while paused
+    // (see animationNow), so blinking, damage and death effects freeze with the game.
+    this.paused = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+    this.pauseMenuIndex = 0;
 
     // Timers used for UI effects (start prompt blink, damage feedback, low-health blink).
     this.startPromptBlinkStart = performance.now();
@@ -72,6 +209,13 @@ function Game(opts) {
     this.livesLostAnimDuration = 500;
     this.blinkStart = performance.now();
 
+    // Combo HUD effects: pop on each increment, fading notice when a streak breaks.
+    this.comboAnimStart = null;
+    this.comboAnimDuration = 250;
+    this.comboBreakAnimStart = null;
+    this.comboBreakAnimDuration = 900;
+    this.brokenCombo = 0;
+
     // Player "death" visual effect (flash + shake + fade).
     this.deathAnimStart = null;
     this.deathAnimDuration = 1200;
@@ -79,12 +223,50 @@ function Game(opts) {
     // Runtime entities managed by the simulation.
     this.notes = [];
 
+    // Timed effects granted by power-up notes (shield, magnet, slow-motion, double score).
+    this.effects = new ActiveEffects();
+
+    // Caught grades, for grade averages weighted by credits (see NoteType gradePoints and credits),
+    // and their distribution by grade.
+    this.gradeCount = 0;
+    this.gradePointsTotal = 0;
+    this.gradeCreditsTotal = 0;
+    this.gradeCounts = {};
+
+    // HUD scoring: "points" shows the score, "gpa" the running grade average.
+    this.scoringMode = "points";
+
+    // Authored spawn waves, mixed with random spawning (see WaveScheduler).
+    this.wavePatterns = opts.wavePatterns ?? WAVE_PATTERNS;
+    this.waves = new WaveScheduler(this.wavePatterns);
+
+    // Seeded generator driving every gameplay random draw, so a seed replays identically.
+    this.rng = opts.rng ?? new SeededRandom(opts.seed ?? createRandomSeed());
+    this.seed = this.rng.seed;
+
+    // Run recording (live runs) and playback (replays); at most one is active.
+    this.recorder = null;
+    this.replayPlayer = null;
+    this.lastReplay = null;
+
+    // Headless instance replaying a recorded run alongside this one (ghost race).
+    this.ghost = null;
+
     // Initializes the player position at the horizontal center.
     this.caracterX = (this.canvas.width - this.caracterWidth) / 2;
 
+    // Movement state advanced by updatePlayer: horizontal velocity (px/s), facing direction
+    // (1 right, -1 left), remaining dash time and dash cooldown (s), whether the dash input
+    // was already held on the previous tick, and the latest positions drawn as a dash trail.
+    this.velocityX = 0;
+    this.facing = 1;
+    this.dashTime = 0;
+    this.dashCooldown = 0;
+    this.dashHeld = false;
+    this.dashTrail = [];
+
     // Note registry and weighted selection precomputation for efficient spawning.
-    this.noteTypes = opts.noteTypes;
-    this.totalWeight = this.noteTypes.reduce((acc, t) => acc + t.weight, 0);
+    this.setNoteTypes(opts.noteTypes);
 
     // Binds callback methods to ensure `this` remains the Game instance.
     // This is required for addEventListener and requestAnimationFrame usage.
@@ -103,7 +285,7 @@ const gamePrototype = {
     ========================= */
 
     /**
-     * Attaches keyboard and touch listeners for player controls.
+     * Attaches keyboard, touch, and pointer listeners for player controls.
      * Treats this operation as idempotent to avoid duplicate listener registration.
      */
     attachInput() {
@@ -120,80 +302,151 @@ const gamePrototype = {
         this.canvas.addEventListener("touchend",   (e) => this.touchEndHandler(e), false);
         this.canvas.addEventListener("touchcancel",(e) => this.touchCancelHandler(e), false);
 
+        // Registers pointer listeners (mouse, pen, touch) for the follow scheme.
+        // They never cancel the events, so clicks still reach the menu handlers.
+        this.canvas.addEventListener("pointerdown", (e) => this.pointerDownHandler(e), false);
+        this.canvas.addEventListener("pointermove", (e) => this.pointerMoveHandler(e), false);
+        this.canvas.addEventListener("pointerup", (e) => this.pointerEndHandler(e), false);
+        this.canvas.addEventListener("pointercancel", (e) => this.pointerEndHandler(e), false);
+        this.canvas.addEventListener("pointerleave", (e) => this.pointerEndHandler(e), false);
+
         this.inputAttached = true;
     },
 
     /**
-     * Starts the periodic difficulty ramp (idempotent).
-     * Increases difficulty at a fixed time interval.
+     * Replaces the note type registry (e.g. once definitions are loaded from JSON).
+     * Meant to be called between runs: a run in progress would no longer match its seed.
+     *
+     * @param {NoteType[]} noteTypes - Note types to spawn from
      */
-    startDifficultyRamp() {
-        // Ensures only one scheduler exists.
-        if (this.difficultyIntervalId !== null) return;
+    setNoteTypes(noteTypes) {
+        this.noteTypes = noteTypes;
+
+        // Invalidates the cumulative weight table (see getWeightTable).
+        this.weightTable = null;
+    },
+
+    /**
+     * Applies a rule set to the next runs, or restores the engine settings with null.
+     * Meant to be called between runs, like setNoteTypes.
+     *
+     * @param {Object|null} rules - Compiled rule set (see compileRunRules)
+     */
+    setRules(rules) {
+        this.rules = rules;
+        this.weightTable = null;
+        this.waves = new WaveScheduler(rules?.wavePatterns ?? this.wavePatterns);
+    },
+
+    /**
+     * Selects what the HUD shows for this player: points, or the grade average (GPA).
+     * Scoring modes only change the display and the board a run is ranked on; the
+     * simulation is the same.
+     *
+     * @param {string} mode - "points" or "gpa"
+     */
+    setScoringMode(mode) {
+        this.scoringMode = mode;
+    },
+
+    /**
+     * Returns a setting of the current run: the rule set's value when it declares one,
+     * the engine's own otherwise.
+     *
+     * @param {string} key - Setting name (e.g. "baseSpawnRate", "runDuration")
+     * @returns {*} Setting value
+     */
+    getRule(key) {
+        return (this.rules && this.rules[key] !== undefined) ? this.rules[key] : this[key];
+    },
 
-        this.difficultyIntervalId = setInterval(() => {
-            this.difficultyLevel++;
-        }, 5000);
+    /**
+     * Starts the difficulty ramp (idempotent).
+     * Difficulty then increases every `difficultyStepDuration` seconds of simulated time.
+     */
+    startDifficultyRamp() {
+        this.difficultyRampActive = true;
     },
 
     /**
-     * Stops the periodic difficulty ramp (idempotent).
+     * Stops the difficulty ramp (idempotent).
      * Prevents difficulty from mutating after the run ends.
      */
     stopDifficultyRamp() {
-        if (this.difficultyIntervalId === null) return;
-
-        clearInterval(this.difficultyIntervalId);
-        this.difficultyIntervalId = null;
+        this.difficultyRampActive = false;
     },
 
     /**
-     * Starts a run.
-     * In preview mode, initializes the loop without transitioning into active gameplay.
+     * Builds the engine lifecycle machine.
+     *  - Idle: attract screen, no simulation.
+     *  - Running: the run is being simulated.
+     *  - Dying: lives are depleted; the death animation and "GAME OVER" overlay play.
+     *  - Over: game-over side effects have run; waits for a new run or a reset.
      *
-     * @param {boolean} preview - Whether this call is a preview boot (no username/audio ramp)
+     * @returns {StateMachine} Machine starting in "Idle"
      */
-    start(preview) {
-        // Releases any cross-player lock to allow a fresh start sequence.
-        release_game_state();
+    createPhaseMachine() {
+        return new StateMachine({
+            initial: "Idle",
+            states: {
+                Idle: { to: ["Idle", "Running"] },
+                Running: { to: ["Idle", "Dying", "Over"] },
+                Dying: {
+                    to: ["Idle", "Over"],
+                    onEnter: () => this.onDeath()
+                },
+                Over: { to: ["Idle"] }
+            }
+        });
+    },
 
-        // Initializes the loop only once per instance.
-        if (!this.previewed) {
-            this.loop();
-            this.previewed = true;
-        }
+    /**
+     * Tells whether a run has been started on this instance (whatever its outcome).
+     *
+     * @returns {boolean} False only on the attract screen
+     */
+    hasStarted() {
+        return !this.phase.is("Idle");
+    },
 
-        // In non-preview mode, arms gameplay: resolves name, starts difficulty, and plays music.
-        if (!preview) {
-            this.attachInput();
-            this.username = get_name(this.user).toUpperCase();
-            this.gameStarted = true;
-            this.startDifficultyRamp();
-            this.playSfx("backgroundMusic");
-        }
+    /**
+     * Tells whether the current run has ended (lives depleted or forced game over).
+     *
+     * @returns {boolean} True while dying or once over
+     */
+    isGameOver() {
+        return this.phase.is("Dying", "Over");
     },
 
     /**
-     * Restarts a new run from a pristine state.
-     * Reuses assets; resets only mutable runtime state.
+     * Starts the render loop, once per instance.
+     * The engine then shows the attract screen until a run is started.
      */
-    restart() {
-        release_game_state();
+    boot() {
+        if (this.booted) return;
 
-        // Returns the instance to a known initial state.
+        this.booted = true;
+        this.loop();
+    },
+
+    /**
+     * Starts a new run from a pristine state.
+     * Reuses assets; resets only mutable runtime state, then arms gameplay:
+     * seed, input, recording, difficulty progression, and music.
+     *
+     * @param {number} [seed] - Seed for the run; a fresh one is drawn when omitted
+     */
+    start(seed) {
+        // Starts from pristine state so the run is reproducible from its seed.
+        this.applyCharacter(this.character);
         this.resetStateToDefaults();
+        this.setSeed(seed ?? createRandomSeed());
+        this.attachInput();
+        this.beginRecording();
 
-        // Arms gameplay flags and resumes difficulty progression.
-        this.gameStarted = true;
+        this.phase.transition("Running");
         this.startDifficultyRamp();
-        
-        // Restores background music volume after a restart.
-        const bgm = this.sfx?.backgroundMusic;
-        if (bgm) {
-            try {
-                bgm.volume = 1;
-            } catch (e) {}
-        }
+        this.playSfx("backgroundMusic");
     },
 
     /**
@@ -204,35 +457,77 @@ const gamePrototype = {
         // Gameplay state
         this.score = 0;
         this.lives = 3;
+        this.combo = 0;
+        this.bestCombo = 0;
 
         // Keeps the displayed identity in sync with session storage.
-        this.username = get_name(this.user).toLocaleUpperCase();
+        if (!this.headless) {
+            this.username = get_name(this.user).toLocaleUpperCase();
+        }
 
-        // Run state flags
-        this.gameStarted = false;
-        this.isGameOver = false;
-        this.gameOverAlreadyHandled = false;
-        this.dead = false;
+        // Run lifecycle
+        this.phase.transition("Idle");
 
         // Input state
         this.rightPressed = false;
         this.leftPressed = false;
+        this.dashPressed = false;
+        this.pointerX = null;
+        this.pointerId = null;
+        this.lastTap = null;
+        this.dashGesture = false;
+        this.input = { left: false, right: false, axis: 0, target: null, dash: false };
 
         // Difficulty ramp
-        this.difficultyLevel = 1;
-        this.difficultyIntervalId = null;
+        this.difficultyLevel = this.getRule("startDifficultyLevel");
+        this.difficultyRampActive = false;
+        this.difficultyElapsed = 0;
+
+        // Frame timing (discards time accumulated by the previous run)
+        this.accumulator = 0;
+        this.tickCount = 0;
+        this.deathTick = null;
+        this.endReason = null;
+
+        // Grade tracking and objective
+        this.gradeCount = 0;
+        this.gradePointsTotal = 0;
+        this.gradeCreditsTotal = 0;
+        this.gradeCounts = {};
+        this.objective = this.rules?.objective ? this.rules.objective.create() : null;
+
+        // Recording / playback
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.ghost = null;
+
+        // Pause state
+        this.paused = false;
+        this.pausedAt = null;
+        this.pauseMenuIndex = 0;
 
         // Timers / UI effects
-        this.startPromptBlinkStart = performance.now();
+        this.startPromptBlinkStart = this.animationNow();
         this.livesLostAnimStart = null;
-        this.blinkStart = performance.now();
+        this.blinkStart = this.animationNow();
         this.deathAnimStart = null;
+        this.comboAnimStart = null;
+        this.comboBreakAnimStart = null;
+        this.brokenCombo = 0;
 
-        // Entities
+        // Entities, power-up effects and spawn waves
         this.notes = [];
+        this.effects.clear();
+        this.waves.reset();
 
-        // Player position
+        // Player position and movement
         this.caracterX = (this.canvas.width - this.caracterWidth) / 2;
+        this.velocityX = 0;
+        this.facing = 1;
+        this.dashTime = 0;
+        this.dashCooldown = 0;
+        this.dashHeld = false;
+        this.dashTrail = [];
 
         // Background music volume.
         let bgm = this.sfx.backgroundMusic;
@@ -244,40 +539,239 @@ const gamePrototype = {
     },
 
     /**
-     * Executes the game-over transition.
-     * Guards execution to run once per instance, even if triggered multiple times.
+     * Freezes the run: stops simulation steps, animations, and background music.
+     * Does nothing before the run starts or once it is already paused.
+     */
+    pause() {
+        if (!this.hasStarted() || this.paused) return;
+
+        this.paused = true;
+        this.pausedAt = performance.now();
+        this.pauseMenuIndex = 0;
+
+        const bgm = this.sfx.backgroundMusic;
+        if (bgm) {
+            try {
+                bgm.pause();
+            } catch (e) {}
+        }
+    },
+
+    /**
+     * Unfreezes the run where it stopped.
+     * Discards the paused time so neither the simulation nor animations jump ahead.
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.pausedDuration += performance.now() - this.pausedAt;
+        this.paused = false;
+        this.pausedAt = null;
+        this.accumulator = 0;
+
+        this.playSfx("backgroundMusic");
+    },
+
+    /**
+     * Returns the timestamp used by visual effects.
+     * Behaves like performance.now() but does not advance while the run is paused.
+     *
+     * @returns {number} Animation clock in milliseconds
+     */
+    animationNow() {
+        const now = this.paused ? this.pausedAt : performance.now();
+        return now - this.pausedDuration;
+    },
+
+    /**
+     * Moves the pause menu selection by a number of entries, wrapping around.
+     *
+     * @param {number} delta - Offset to apply (e.g. -1 for up, +1 for down)
+     */
+    movePauseSelection(delta) {
+        const count = PAUSE_MENU_OPTIONS.length;
+        this.pauseMenuIndex = (this.pauseMenuIndex + delta + count) % count;
+    },
+
+    /**
+     * Reseeds the gameplay generator.
+     * Two instances seeded identically receive the same rain of notes.
      *
-     * Multiplayer note:
-     * - Uses a shared session flag to coordinate a single transition to highscores.
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        this.seed = this.rng.seed;
+    },
+
+    /**
+     * Starts recording the inputs of the current run.
+     * Must be called after the seed and canvas size are final.
+     */
+    beginRecording() {
+        this.recorder = new ReplayRecorder({
+            seed: this.seed,
+            user: this.user,
+            fixedStep: this.fixedStep,
+            canvasWidth: this.canvas.width,
+            canvasHeight: this.canvas.height,
+            rules: this.rules?.id ?? null,
+            character: this.character
+        });
+    },
+
+    /**
+     * Plays a recorded run back on this instance, using the regular renderer.
+     * Live input is overridden by the recorded stream on every tick.
+     * Expects the canvas to already have the recorded dimensions.
+     *
+     * @param {Object} replay - Validated replay object (see parseReplay)
+     * @throws {Error} When the replay was recorded with another simulation step
+     */
+    playReplay(replay) {
+        this.assertReplayCompatible(replay);
+
+        // Plays the run back under the rules it was recorded with.
+        this.setRules(replay.rules !== null ? getRunRules(replay.rules) : null);
+        this.applyCharacter(replay.character);
+        this.resetStateToDefaults();
+        this.setSeed(replay.seed);
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.username = replay.name.toUpperCase();
+
+        this.phase.transition("Running");
+        this.startDifficultyRamp();
+        this.playSfx("backgroundMusic");
+    },
+
+    /**
+     * Starts a live run against a ghost replaying a recorded run on the same seed.
+     * Expects the canvas to already have the recorded dimensions.
+     *
+     * @param {Object} replay - Validated replay object driving the ghost
+     * @throws {Error} When the replay was recorded with another simulation step
+     */
+    raceGhost(replay) {
+        this.assertReplayCompatible(replay);
+        this.setRules(replay.rules !== null ? getRunRules(replay.rules) : null);
+
+        this.start(replay.seed);
+        this.ghost = this.createGhost(replay);
+    },
+
+    /**
+     * Builds the headless instance simulating a ghost run.
+     * Shares note types and tuning with this instance so both simulations stay in lockstep,
+     * but plays the character the run was recorded with.
+     *
+     * @param {Object} replay - Validated replay object driving the ghost
+     * @returns {Game} Headless Game instance already playing the replay
+     */
+    createGhost(replay) {
+        const ghost = new Game({
+            canvas: { width: this.canvas.width, height: this.canvas.height },
+            ctx: null,
+            headless: true,
+            user: replay.user,
+            sfx: {},
+            noteTypes: this.noteTypes,
+            noteWidth: this.noteWidth,
+            noteHeight: this.noteHeight,
+            caracterWidth: this.caracterWidth,
+            caracterHeight: this.caracterHeight,
+            fixedStep: this.fixedStep,
+            character: replay.character,
+            pointerMaxSpeed: this.pointerMaxSpeed,
+            pointerEasing: this.pointerEasing,
+            baseSpawnRate: this.baseSpawnRate,
+            spawnRatePerLevel: this.spawnRatePerLevel,
+            difficultyStepDuration: this.difficultyStepDuration,
+            startDifficultyLevel: this.startDifficultyLevel,
+            maxDifficultyLevel: this.maxDifficultyLevel,
+            runDuration: this.runDuration,
+            wavePatterns: this.wavePatterns
+        });
+
+        ghost.playReplay(replay);
+        return ghost;
+    },
+
+    /**
+     * Rejects replays that cannot be simulated faithfully by this instance.
+     *
+     * @param {Object} replay - Validated replay object
+     * @throws {Error} When the replay was recorded with another simulation step, or under
+     *         rules or with a character that are not available
+     */
+    assertReplayCompatible(replay) {
+        if (replay.fixedStep !== this.fixedStep) {
+            throw new Error("This replay was recorded with a different simulation step.");
+        }
+        if (replay.rules !== null && !Object.prototype.hasOwnProperty.call(RUN_RULES, replay.rules)) {
+            throw new Error(`This replay was recorded under unknown rules (${replay.rules}).`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(CHARACTER_TUNINGS, replay.character)) {
+            throw new Error(`This replay was recorded with an unknown character (${replay.character}).`);
+        }
+    },
+
+    /**
+     * Executes the game-over transition.
+     * Runs once per run: the engine can only enter "Over" from "Running" or "Dying".
+     * Coordination with the other player (and navigation) belongs to the listener,
+     * normally the MatchController.
      *
      * @param {boolean} update - Whether highscores should be updated when navigating away
      */
     gameOver(update) {
         // Hard guard preventing re-entry, including cross-calls from rendering.
-        if (this.dead === true) return;
-        this.dead = true;
-        
-        // Persists the player's final score into session storage.
-        set_score_session(this.user, this.score);
+        if (!this.phase.transition("Over")) return;
 
-        // Marks game state in storage and retrieves whether the previous state was already "true".
-        let gameState = increment_game_state(this.user, this.score);
-        let isMyfriendLose = gameState[0];
-        let myUserFriend = gameState[1];
-        let myUserFriendScore = gameState[2];
+        if (this.onGameOver) {
+            this.onGameOver(this, update);
+        }
+    },
 
-        // Ensures only one player executes the delayed navigation in multiplayer.
-        if (this.numberOfPlayers === 1 || isMyfriendLose) {
+    /**
+     * Returns how long the current (or last) run lasted, in simulated seconds.
+     * Stops counting at the moment lives reached zero.
+     *
+     * @returns {number} Time survived in seconds
+     */
+    getTimeSurvived() {
+        return (this.deathTick ?? this.tickCount) * this.fixedStep;
+    },
+
+    /**
+     * Returns the time left before a timed run ends.
+     *
+     * @returns {number|null} Remaining seconds, or null for an endless run
+     */
+    getTimeRemaining() {
+        const duration = this.getRule("runDuration");
+        if (duration === null) return null;
 
-            // Delays navigation to keep "GAME OVER" readable before leaving the canvas.
-            setTimeout(() => {                
-                // Stops the difficulty ramp to prevent background mutation after gameplay ends.
-                this.stopDifficultyRamp();
+        return Math.max(0, duration - this.getTimeSurvived());
+    },
 
-                // Navigates to the highscores view and optionally updates persistence.
-                viewHighscores(numberOfPlayers, update, true, this.user, this.score, myUserFriend, myUserFriendScore);
-            }, 2000);
-        }
+    /**
+     * Returns the status of the run objective, if the rules set one.
+     * An objective reached during the run only counts as met once the time is up:
+     * losing every life (or abandoning) fails the run.
+     *
+     * @returns {{label: string, progress: string, reached: boolean, met: boolean}|null} Objective status
+     */
+    getObjectiveStatus() {
+        if (!this.objective) return null;
+
+        const reached = this.objective.isMet(this);
+
+        return {
+            label: this.rules.objective.label,
+            progress: this.objective.progress(this),
+            reached,
+            met: this.endReason === "time" && reached
+        };
     },
 
     /* =========================
@@ -286,7 +780,7 @@ const gamePrototype = {
 
     /**
      * Keydown handler used to set movement state.
-     * Maps movement using the configured arrowLeft/arrowRight codes.
+     * Maps movement using the configured arrowLeft/arrowRight/dashKey codes.
      *
      * @param {KeyboardEvent} e
      */
@@ -297,6 +791,9 @@ const gamePrototype = {
         else if (e.code === this.arrowLeft) {
             this.leftPressed = true;
         }
+        else if (e.code === this.dashKey) {
+            this.dashPressed = true;
+        }
     },
 
     /**
@@ -311,6 +808,9 @@ const gamePrototype = {
         else if (e.code === this.arrowLeft) {
             this.leftPressed = false;
         }
+        else if (e.code === this.dashKey) {
+            this.dashPressed = false;
+        }
     },
 
 
@@ -370,6 +870,9 @@ const gamePrototype = {
      * @param {TouchEvent} e
      */
     syncTouchesToState(e) {
+        // Leaves touches to the pointer handlers when the student follows the finger.
+        if (this.pointerScheme === "follow") return;
+
         // Uses the canvas bounding box to convert screen touches into local canvas coordinates.
         const rect = this.canvas.getBoundingClientRect();
 
@@ -394,6 +897,171 @@ const gamePrototype = {
         this.rightPressed = right;
     },
 
+    /**
+     * Handles pointerdown in the follow scheme: starts following a touch or pen, or the mouse
+     * under the click, and dashes on a double tap (see detectDoubleTap).
+     * The halves scheme leaves taps to the touch handlers, where quick taps only move.
+     *
+     * @param {PointerEvent} e
+     */
+    pointerDownHandler(e) {
+        if (this.pointerScheme !== "follow") return;
+
+        if (e.pointerType !== "mouse") {
+            this.detectDoubleTap(e);
+        }
+
+        this.pointerId = e.pointerId;
+        this.updatePointer(e);
+    },
+
+    /**
+     * Requests a dash when a touch or pen taps twice quickly on the same canvas half.
+     * The second tap must come from the same pen, or from a finger landing once the first
+     * contact was lifted: a second finger landing while the first is still down never dashes.
+     *
+     * @param {PointerEvent} e - pointerdown of a touch or pen
+     */
+    detectDoubleTap(e) {
+        const now = performance.now();
+        const half = (this.toCanvasX(e) < this.canvas.width / 2) ? "left" : "right";
+        const last = this.lastTap;
+
+        const sameContact = last !== null && (e.pointerId === last.pointerId || this.pointerId === null);
+
+        if (sameContact && last.half === half && now - last.time < this.doubleTapDelay) {
+            this.dashGesture = true;
+            this.lastTap = null;
+        }
+        else {
+            this.lastTap = { pointerId: e.pointerId, half, time: now };
+        }
+    },
+
+    /**
+     * Handles pointermove: a mouse is followed while it hovers the canvas,
+     * a touch or pen while it stays in contact.
+     *
+     * @param {PointerEvent} e
+     */
+    pointerMoveHandler(e) {
+        if (this.pointerScheme !== "follow") return;
+
+        if (e.pointerType === "mouse" || e.pointerId === this.pointerId) {
+            this.updatePointer(e);
+        }
+    },
+
+    /**
+     * Handles pointerup, pointercancel and pointerleave: stops following once the finger
+     * or pen is lifted, or once the pointer leaves the canvas.
+     *
+     * @param {PointerEvent} e
+     */
+    pointerEndHandler(e) {
+        // A mouse button release keeps the hovering mouse followed.
+        if (e.type === "pointerup" && e.pointerType === "mouse") return;
+
+        if (e.pointerType === "mouse" || e.pointerId === this.pointerId) {
+            this.pointerX = null;
+            this.pointerId = null;
+        }
+    },
+
+    /**
+     * Converts a pointer position into a canvas X coordinate.
+     * Scales it, since the canvas is displayed at a different size than its resolution.
+     *
+     * @param {PointerEvent} e
+     * @returns {number} Canvas X, clamped to the canvas
+     */
+    toCanvasX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * this.canvas.width / rect.width;
+
+        return Math.round(Math.max(0, Math.min(this.canvas.width, x)));
+    },
+
+    /**
+     * Follows the pointer position.
+     *
+     * @param {PointerEvent} e
+     */
+    updatePointer(e) {
+        this.pointerX = this.toCanvasX(e);
+    },
+
+    /**
+     * Selects the character of this player, played from the next run.
+     * Must only be called between runs (menus).
+     *
+     * @param {string} character - Character identifier (see CHARACTER_TUNINGS)
+     * @throws {Error} When the character is unknown
+     */
+    setCharacter(character) {
+        this.applyCharacter(character);
+        this.character = character;
+    },
+
+    /**
+     * Applies the movement tuning and hitbox of a character to the simulation.
+     * Live runs play the player's character, replays the recorded one.
+     *
+     * @param {string} character - Character identifier (see CHARACTER_TUNINGS)
+     * @throws {Error} When the character is unknown
+     */
+    applyCharacter(character) {
+        if (!Object.prototype.hasOwnProperty.call(CHARACTER_TUNINGS, character)) {
+            throw new Error(`Unknown character "${character}".`);
+        }
+
+        this.tuning = CHARACTER_TUNINGS[character];
+        this.hitbox = compileHitbox(this.tuning.hitbox);
+    },
+
+    /**
+     * Selects the pointer control scheme of this player.
+     *
+     * @param {string} scheme - "halves" or "follow" (see POINTER_SCHEMES)
+     */
+    setPointerScheme(scheme) {
+        this.pointerScheme = scheme;
+        this.pointerX = null;
+        this.pointerId = null;
+        this.lastTap = null;
+        this.rightPressed = false;
+        this.leftPressed = false;
+    },
+
+    /**
+     * Applies the keys bound to this player's actions (see ControlProfiles).
+     *
+     * @param {Object<string, string>} codes - Key codes keyed by action ("left", "right", "dash")
+     */
+    setKeyBindings(codes) {
+        this.arrowLeft = codes.left;
+        this.arrowRight = codes.right;
+        this.dashKey = codes.dash;
+        this.rightPressed = false;
+        this.leftPressed = false;
+        this.dashPressed = false;
+    },
+
+    /**
+     * Updates the gamepad state of this player, polled every frame by GamepadInput.
+     *
+     * @param {boolean} left - Whether the d-pad left button is held
+     * @param {boolean} right - Whether the d-pad right button is held
+     * @param {number} axis - Stick tilt in [-1, 1] (negative to the left, 0 at rest)
+     * @param {boolean} [dash] - Whether a dash button is held
+     */
+    setGamepadState(left, right, axis, dash = false) {
+        this.padLeft = left;
+        this.padRight = right;
+        this.padAxis = axis;
+        this.padDash = dash;
+    },
+
     /* =========================
        Audio helpers
     ========================= */
@@ -432,11 +1100,50 @@ const gamePrototype = {
 
     /**
      * Adds points to the score.
+     * Each gain extends the combo, then is multiplied by the combo tier and by an
+     * active double-score effect; losses are applied as is.
      *
      * @param {number} delta - Score increment (can be negative if required)
      */
     addScore(delta) {
-        this.score += delta;
+        if (delta <= 0) {
+            this.score += delta;
+            return;
+        }
+
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.comboAnimStart = this.animationNow();
+
+        this.score += delta * this.getComboMultiplier() * this.getScoreMultiplier();
+    },
+
+    /**
+     * Records a caught note for grade averages and the run objective.
+     *
+     * @param {NoteType} type - Type of the caught note
+     */
+    recordCatch(type) {
+        if (type.gradePoints !== null) {
+            this.gradeCount++;
+            this.gradePointsTotal += type.gradePoints * type.credits;
+            this.gradeCreditsTotal += type.credits;
+            this.gradeCounts[type.name] = (this.gradeCounts[type.name] ?? 0) + 1;
+        }
+
+        if (this.objective) {
+            this.objective.onCatch(type);
+        }
+    },
+
+    /**
+     * Returns the average of the grades caught so far, weighted by their credits, on the
+     * 20-point scale.
+     *
+     * @returns {number|null} Average, or null before the first grade
+     */
+    getGradeAverage() {
+        return (this.gradeCount > 0) ? this.gradePointsTotal / this.gradeCreditsTotal : null;
     },
 
     /**
@@ -449,16 +1156,83 @@ const gamePrototype = {
     },
 
     /**
-     * Arms the "damage feedback" animation timer.
+     * Arms the "damage feedback" animation timer and breaks the combo.
      * Typically called by damaging note types.
      */
     notifyDamage() {
-        this.livesLostAnimStart = performance.now();
+        this.livesLostAnimStart = this.animationNow();
+        this.breakCombo();
+    },
+
+    /**
+     * Ends the current combo streak, arming the "combo broken" notice when it mattered.
+     */
+    breakCombo() {
+        if (this.combo >= 2) {
+            this.brokenCombo = this.combo;
+            this.comboBreakAnimStart = this.animationNow();
+        }
+
+        this.combo = 0;
+    },
+
+    /**
+     * Returns the score multiplier unlocked by the current combo (see COMBO_TIERS).
+     *
+     * @returns {number} Combo multiplier
+     */
+    getComboMultiplier() {
+        let multiplier = 1;
+
+        for (const tier of COMBO_TIERS) {
+            if (this.combo >= tier.combo) {
+                multiplier = tier.multiplier;
+            }
+        }
+
+        return multiplier;
+    },
+
+    /**
+     * Activates a timed power-up effect (see EFFECT_DEFINITIONS for stacking rules).
+     *
+     * @param {string} id - Effect identifier ("shield", "magnet", "slowmo", "double")
+     * @param {number} [duration] - Duration override in seconds
+     */
+    grantPowerUp(id, duration) {
+        this.effects.grant(id, duration);
     },
 
     /**
-     * Checks whether lives are depleted and transitions to game over state if so.
-     * Also plays the game over SFX as a one-shot effect.
+     * Lets an active shield absorb an incoming hit, using up one of its charges.
+     * Typically called by damaging note types before applying any life loss.
+     *
+     * @returns {boolean} True when the hit was absorbed
+     */
+    absorbDamage() {
+        return this.effects.consume("shield");
+    },
+
+    /**
+     * Returns the factor applied to score gains: x2 with one double-score pickup, x3 with two.
+     *
+     * @returns {number} Score multiplier
+     */
+    getScoreMultiplier() {
+        return 1 + this.effects.stacks("double");
+    },
+
+    /**
+     * Returns the factor applied to every note's falling speed (slowed down by slow-motion).
+     *
+     * @returns {number} Speed factor
+     */
+    getNoteSpeedScale() {
+        return this.effects.has("slowmo") ? this.effects.definitions.slowmo.speedScale : 1;
+    },
+
+    /**
+     * Checks whether lives are depleted and moves the engine to "Dying" if so.
      */
     checkGameOver() {
         // Early return preserves performance and avoids double-triggering.
@@ -466,14 +1240,45 @@ const gamePrototype = {
 
         // Clamps lives to zero for consistent HUD rendering.
         this.lives = 0;
-        this.isGameOver = true;
+        this.endReason = "lives";
+        this.phase.transition("Dying");
+    },
 
-        // Arms the player death animation once, at the moment game over is reached.
-        if (this.deathAnimStart === null) {
-            this.deathAnimStart = performance.now();
+    /**
+     * Ends a timed run once its duration has elapsed, the player still standing.
+     */
+    checkTimeUp() {
+        const remaining = this.getTimeRemaining();
+        if (remaining === null || remaining > 0 || this.isGameOver()) return;
+
+        this.endReason = "time";
+        this.phase.transition("Dying");
+    },
+
+    /**
+     * Enter hook of the "Dying" phase.
+     * Arms the death animation, seals the recording, and plays the game over SFX once.
+     */
+    onDeath() {
+        // Arms the player death animation at the moment game over is reached
+        // (a player who ran out of time does not die).
+        if (this.endReason !== "time") {
+            this.deathAnimStart = this.animationNow();
+        }
+        this.deathTick = this.tickCount;
+
+        // Seals the recording of the run so it can be exported or watched again.
+        if (this.recorder) {
+            this.lastReplay = this.recorder.finish(this.tickCount, get_name(this.user), this.score);
+            this.recorder = null;
+
+            // Keeps the best endless run around as the default ghost to race.
+            if (!this.rules) {
+                offer_best_replay(this.lastReplay);
+            }
         }
 
-        this.playSfx("gameOver");
+        this.playSfx((this.endReason === "time") ? "goodA" : "gameOver");
     },
 
     /* =========================
@@ -481,65 +1286,230 @@ const gamePrototype = {
     ========================= */
 
     /**
-     * Performs weighted random selection among note types.
-     * Assumes weights are non-negative and totalWeight is valid.
+     * Returns the cumulative spawn weights for the current difficulty level.
+     * Weights may vary with difficulty, so the table is cached per level and only
+     * rebuilt when the level (or the registry, or the rules) changes. Rule sets may
+     * override the weight of some types.
+     *
+     * @returns {{level: number, cumulative: number[], total: number}} Cumulative weight table
+     */
+    getWeightTable() {
+        if (this.weightTable && this.weightTable.level === this.difficultyLevel) {
+            return this.weightTable;
+        }
+
+        const cumulative = [];
+        let total = 0;
+
+        const overrides = this.rules?.weights ?? {};
+
+        for (const type of this.noteTypes) {
+            const weightAt = overrides[type.name] ?? type.weightAt;
+            total += weightAt(this.difficultyLevel);
+            cumulative.push(total);
+        }
+
+        this.weightTable = { level: this.difficultyLevel, cumulative, total };
+        return this.weightTable;
+    },
+
+    /**
+     * Performs weighted random selection among note types, using the weights of the
+     * current difficulty level (binary search over the cumulative table).
      *
      * @returns {NoteType} Selected note type strategy
      */
     getRandomNoteType() {
-        const r = Math.random() * this.totalWeight;
-        let sum = 0;
+        const table = this.getWeightTable();
+        const r = this.rng.next() * table.total;
+
+        // Finds the first cumulative weight strictly greater than r.
+        let low = 0;
+        let high = table.cumulative.length - 1;
 
-        for (const element of this.noteTypes) {
-            sum += element.weight;
-            if (r < sum) return element;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+
+            if (r < table.cumulative[mid]) {
+                high = mid;
+            }
+            else {
+                low = mid + 1;
+            }
         }
 
-        // Fallback: returns the last type to guarantee a return value.
-        return this.noteTypes[this.noteTypes.length - 1];
+        return this.noteTypes[low];
     },
 
     /**
      * Spawns a new falling note (runtime entity) and stores it.
      * Delegates behavior to the NoteType strategy attached to the Note instance.
+     *
+     * @param {Object} [event] - Wave spawn event ({ lane, type, speed, movement }); random spawn when omitted
+     */
+    spawnNote(event) {
+        if (!event) {
+            const type = this.getRandomNoteType();
+            this.notes.push(new Note(type, this.canvas.width, this.noteWidth, this.noteHeight, this.difficultyLevel, this.rng));
+            return;
+        }
+
+        // "random", and names the built-in patterns use but a customized note types file
+        // dropped, fall back to the weighted picker.
+        const type = this.noteTypes.find((t) => t.name === event.type) ?? this.getRandomNoteType();
+        const placement = { x: this.getLaneX(event.lane), speed: event.speed, movement: event.movement };
+
+        this.notes.push(new Note(type, this.canvas.width, this.noteWidth, this.noteHeight, this.difficultyLevel, this.rng, placement));
+    },
+
+    /**
+     * Returns the number of note-wide lanes spawn waves are laid out on.
+     *
+     * @returns {number} Lane count (at least 1)
+     */
+    getLaneCount() {
+        return Math.max(1, Math.floor(this.canvas.width / this.noteWidth));
+    },
+
+    /**
+     * Returns the horizontal position of a lane, lanes being spread edge to edge.
+     *
+     * @param {number} lane - Lane index
+     * @returns {number} Note X position
+     */
+    getLaneX(lane) {
+        const lanes = this.getLaneCount();
+        const free = this.canvas.width - this.noteWidth;
+
+        return (lanes === 1) ? free / 2 : lane * free / (lanes - 1);
+    },
+
+    /**
+     * Returns the current spawn rate in notes per second.
+     *
+     * @returns {number} Expected number of spawns per second at the current difficulty
+     */
+    getSpawnRate() {
+        return this.getRule("baseSpawnRate") + this.difficultyLevel * this.getRule("spawnRatePerLevel");
+    },
+
+    /* =========================
+       Simulation update
+    ========================= */
+
+    /**
+     * Advances the difficulty ramp by a slice of simulated time.
+     *
+     * @param {number} dt - Simulated time step in seconds
      */
-    spawnNote() {
-        const type = this.getRandomNoteType();
-        const n = new Note(type, this.canvas.width, this.noteWidth, this.noteHeight, this.difficultyLevel);
-        this.notes.push(n);
-    },
+    updateDifficulty(dt) {
+        if (!this.difficultyRampActive || this.isGameOver()) return;
 
-    /* =========================
-       Simulation update
-    ========================= */
+        const stepDuration = this.getRule("difficultyStepDuration");
+        const maxLevel = this.getRule("maxDifficultyLevel");
+
+        this.difficultyElapsed += dt;
+
+        while (this.difficultyElapsed >= stepDuration) {
+            this.difficultyElapsed -= stepDuration;
+            this.difficultyLevel = Math.min(maxLevel, this.difficultyLevel + 1);
+        }
+    },
 
     /**
-     * Updates player horizontal movement based on current input.
+     * Updates player horizontal movement based on the input of the tick.
+     * The input sets the speed the player asks for: full speed for digital directions
+     * (keys, touch, d-pad; opposite ones cancel out), an eased speed toward the followed
+     * pointer, or the stick tilt. The velocity accelerates toward it, slows down by friction
+     * once released, and a fresh dash press bursts forward once the cooldown is over.
      * Clamps movement to the canvas boundaries.
+     *
+     * @param {number} dt - Simulated time step in seconds
      */
-    updatePlayer() {
+    updatePlayer(dt) {
         // Freezes player movement once the game is over.
-        if (this.isGameOver) return;
+        if (this.isGameOver()) return;
+
+        const tuning = this.tuning;
+        const { left, right, axis, target, dash } = this.input;
+        const center = this.caracterX + this.caracterWidth / 2;
+
+        let desired = null;
+        if (left || right) {
+            desired = (Number(right) - Number(left)) * tuning.maxSpeed;
+        }
+        else if (target !== null) {
+            // Slows down on arrival, never faster than the pointer cap.
+            const distance = target - center;
+            desired = Math.sign(distance) * Math.min(this.pointerMaxSpeed, tuning.maxSpeed, Math.abs(distance) * this.pointerEasing);
+        }
+        else if (axis !== 0) {
+            desired = axis * tuning.maxSpeed;
+        }
 
-        const step = 10;
+        if (desired) {
+            this.facing = Math.sign(desired);
+        }
 
-        if (this.directionToken) {
-            if (this.rightPressed && this.caracterX < this.canvas.width - this.caracterWidth) {
-                this.caracterX += step;
-            } else if (this.leftPressed && this.caracterX > 0) {
-                this.caracterX -= step;
+        // Dashes on a fresh press only, in the facing direction.
+        this.dashCooldown = Math.max(0, this.dashCooldown - dt);
+        if (dash && !this.dashHeld && this.dashCooldown === 0) {
+            this.dashTime = tuning.dashDuration;
+            this.dashCooldown = tuning.dashCooldown;
+            this.velocityX = this.facing * tuning.dashSpeed;
+        }
+        this.dashHeld = dash;
+
+        // Moves the velocity toward a goal by at most rate * dt.
+        const approach = (goal, rate) => {
+            const change = goal - this.velocityX;
+            this.velocityX += Math.sign(change) * Math.min(Math.abs(change), rate * dt);
+        };
+
+        if (this.dashTime > 0) {
+            // Keeps the burst for the whole dash, then falls back to the top speed.
+            this.dashTime = Math.max(0, this.dashTime - dt);
+            if (this.dashTime === 0) {
+                this.velocityX = Math.sign(this.velocityX) * Math.min(Math.abs(this.velocityX), tuning.maxSpeed);
             }
-            this.directionToken = false;
-        } 
+        }
+        else if (desired !== null) {
+            approach(desired, tuning.acceleration);
+        }
         else {
-            if (this.leftPressed && this.caracterX > 0) {
-                this.caracterX -= step;
-            } else if (this.rightPressed && this.caracterX < this.canvas.width - this.caracterWidth) {
-                this.caracterX += step;
+            approach(0, tuning.friction);
+        }
+
+        this.caracterX += this.velocityX * dt;
+
+        // Stops on the pointer rather than oscillating around it.
+        if (target !== null && !left && !right && this.dashTime === 0) {
+            const before = target - center;
+            const after = target - (this.caracterX + this.caracterWidth / 2);
+
+            if (Math.sign(before) !== Math.sign(after)) {
+                this.caracterX = target - this.caracterWidth / 2;
+                this.velocityX = 0;
             }
-            this.directionToken = true;
         }
 
+        // Stops against the edges.
+        const maxX = this.canvas.width - this.caracterWidth;
+        if (this.caracterX < 0 || this.caracterX > maxX) {
+            this.caracterX = Math.max(0, Math.min(maxX, this.caracterX));
+            this.velocityX = 0;
+        }
+
+        // Keeps the latest dash positions for the trail, which fades out once the dash ends.
+        if (this.dashTime > 0) {
+            this.dashTrail.push(this.caracterX);
+            if (this.dashTrail.length > 6) {
+                this.dashTrail.shift();
+            }
+        }
+        else {
+            this.dashTrail.shift();
+        }
     },
 
     /**
@@ -549,39 +1519,71 @@ const gamePrototype = {
      * @param {Note} note - Note entity that collided with the player
      */
     applyCollisionEffects(note) {
+        if (note && note.type) {
+            this.recordCatch(note.type);
+        }
+
         if (note && note.type && typeof note.type.onCatch === "function") {
             note.type.onCatch(this, note.type);
         }
     },
 
+    /**
+     * Places the player hitbox on the current player position.
+     *
+     * @returns {Object[]} Shapes in canvas coordinates (see placeHitbox)
+     */
+    getPlayerHitbox() {
+        return placeHitbox(this.hitbox, this.caracterX, this.canvas.height - this.caracterHeight, this.caracterWidth, this.caracterHeight);
+    },
+
     /**
      * Updates note positions, removes out-of-bounds notes, and handles collisions.
      * Iterates backwards to safely splice notes during traversal.
+     *
+     * @param {number} dt - Simulated time step in seconds
      */
-    updateNotes() {
-        // Computes the player rectangle once per frame for collision checks.
+    updateNotes(dt) {
+        // Places the player hitbox once per step for collision checks.
         const paddleX = this.caracterX;
-        const paddleY = this.canvas.height - this.caracterHeight;
         const paddleW = this.caracterWidth;
-        const paddleH = this.caracterHeight;
-        
+        const playerHitbox = this.getPlayerHitbox();
+
+        // Resolves power-up modifiers once per step.
+        const speedScale = this.getNoteSpeedScale();
+        const magnet = this.effects.has("magnet") ? this.effects.definitions.magnet : null;
+
+        // Playfield seen by movement behaviours (homing notes steer toward the player center).
+        const field = { width: this.canvas.width, height: this.canvas.height, targetX: paddleX + paddleW / 2 };
+
         for (let i = this.notes.length - 1; i >= 0; i--) {
             const n = this.notes[i];
 
-            // Advances note simulation (falling motion, speed, etc.).
-            n.update();
+            // Advances note simulation (movement behaviour, speed, etc.).
+            n.update(dt, speedScale, field);
+
+            // Pulls good grades horizontally toward the player while a magnet is active.
+            if (magnet && n.type.score > 0 && !this.isGameOver()) {
+                const targetX = paddleX + (paddleW - n.w) / 2;
+                const pull = magnet.pullSpeed * dt;
+                n.x += Math.max(-pull, Math.min(pull, targetX - n.x));
+            }
 
-            // Removes notes that are no longer visible.
+            // Removes notes that are no longer visible; missing some grades breaks the combo.
             if (n.isOut(this.canvas.height)) {
+                if (!this.isGameOver() && this.comboBreakingMisses.includes(n.type.name)) {
+                    this.breakCombo();
+                }
+
                 this.notes.splice(i, 1);
                 continue;
             }
 
             // Skips collision processing after game over.
-            if (this.isGameOver) continue;
+            if (this.isGameOver()) continue;
 
-            // Resolves collision between the note and the player rectangle.
-            if (n.collidesWithRect(paddleX, paddleY, paddleW, paddleH)) {
+            // Resolves collision between the note and the player hitbox.
+            if (n.collidesWith(playerHitbox)) {
                 this.applyCollisionEffects(n);
                 this.notes.splice(i, 1);
             }
@@ -599,10 +1601,37 @@ const gamePrototype = {
         this.ctx.drawImage(this.background, 0, 0, this.canvas.width, this.canvas.height);
     },
 
+    /**
+     * Draws the ghost character as a translucent silhouette behind the player.
+     * Fades further once the ghost run has ended.
+     */
+    drawGhost() {
+        if (!this.ghost) return;
+
+        this.ctx.save();
+
+        this.ctx.globalAlpha = this.ghost.isGameOver() ? 0.12 : 0.35;
+        this.ctx.shadowColor = "#00faff";
+        this.ctx.shadowBlur = 20;
+
+        this.ctx.drawImage(
+            this.caracter,
+            this.ghost.caracterX,
+            this.canvas.height - this.caracterHeight,
+            this.caracterWidth,
+            this.caracterHeight
+        );
+
+        this.ctx.restore();
+    },
+
     /**
      * Draws the player sprite at the current horizontal position.
+     * Draws the ghost first, when racing one, so the live character stays on top.
      */
     drawPlayer() {
+        this.drawGhost();
+
         this.ctx.save();
 
         let x = this.caracterX;
@@ -613,8 +1642,8 @@ const gamePrototype = {
         let scale = 1;
 
         // Death effect: flash + shake, anchored to the bottom of the canvas.
-        if (this.isGameOver && this.deathAnimStart !== null) {
-            const elapsed = performance.now() - this.deathAnimStart;
+        if (this.isGameOver() && this.deathAnimStart !== null) {
+            const elapsed = this.animationNow() - this.deathAnimStart;
             const p = Math.min(1, elapsed / this.deathAnimDuration);
 
             // Keeps alpha stable (no fade-out).
@@ -627,7 +1656,7 @@ const gamePrototype = {
             const flash = 0.4 + 0.6 * Math.abs(Math.sin(elapsed / 45));
             this.ctx.globalAlpha = alpha * (0.35 + 0.65 * flash);
 
-            // Applies horizontal shake only.
+            // Applies horizontal shake only (cosmetic, so it stays off the seeded generator).
             const shakeX = (Math.random() - 0.5) * 10 * (1 - p);
 
             // Anchors the player to the bottom edge.
@@ -649,8 +1678,46 @@ const gamePrototype = {
             return;
         }
 
+        // Draws the dash trail: fading afterimages of the latest dash positions.
+        if (this.dashTrail.length > 0) {
+            this.ctx.save();
+            this.ctx.shadowColor = "#00faff";
+            this.ctx.shadowBlur = 20;
+
+            this.dashTrail.forEach((trailX, i) => {
+                this.ctx.globalAlpha = 0.4 * (i + 1) / (this.dashTrail.length + 1);
+                this.ctx.drawImage(this.caracter, trailX, y, this.caracterWidth, this.caracterHeight);
+            });
+
+            this.ctx.restore();
+        }
+
         // Renders the player normally.
         this.ctx.drawImage(this.caracter, x, y, this.caracterWidth, this.caracterHeight);
+
+        // Surrounds the player with a glowing bubble while a shield is active.
+        if (this.effects.has("shield")) {
+            const color = this.effects.definitions.shield.color;
+
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2 + this.effects.stacks("shield");
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 20;
+            this.ctx.globalAlpha = 0.7;
+
+            this.ctx.beginPath();
+            this.ctx.ellipse(
+                x + this.caracterWidth / 2,
+                y + this.caracterHeight / 2,
+                this.caracterWidth * 0.65,
+                this.caracterHeight * 0.55,
+                0,
+                0,
+                Math.PI * 2
+            );
+            this.ctx.stroke();
+        }
+
         this.ctx.restore();
     },
 
@@ -664,10 +1731,35 @@ const gamePrototype = {
         }
     },
 
+    /**
+     * Outlines the player and note hitboxes (debug overlay).
+     */
+    drawHitboxes() {
+        drawHitbox(this.ctx, this.getPlayerHitbox(), "#00faff");
+
+        for (const n of this.notes) {
+            drawHitbox(this.ctx, n.getHitbox(), (n.type.lifeDelta < 0) ? "#ff3b3b" : "#ffd400");
+        }
+    },
+
+    /**
+     * Returns the HUD score text: the points, or the grade average in GPA scoring.
+     *
+     * @returns {string} Score text (e.g. "120" or "13.45/20")
+     */
+    getScoreText() {
+        if (this.scoringMode !== "gpa") return String(this.score);
+
+        const average = this.getGradeAverage();
+        return `${average === null ? "--.--" : average.toFixed(2)}/20`;
+    },
+
     /**
      * Draws the HUD score with neon-glow styling for legibility.
      */
     drawScore() {
+        const text = `${this.username}: ${this.getScoreText()}`;
+
         this.ctx.save();
 
         this.ctx.font = "bold 2em 'Press Start 2P', cursive";
@@ -678,14 +1770,96 @@ const gamePrototype = {
         // Uses multiple glow passes to improve contrast on complex backgrounds.
         this.ctx.shadowColor = "#00faff";
         this.ctx.shadowBlur = 8;
-        this.ctx.fillText(`${this.username}: ` + this.score, 20, 40);
+        this.ctx.fillText(text, 20, 40);
 
         this.ctx.shadowColor = "#00e1ff";
         this.ctx.shadowBlur = 20;
-        this.ctx.fillText(`${this.username}: ` + this.score, 20, 40);
+        this.ctx.fillText(text, 20, 40);
 
         this.ctx.shadowBlur = 40;
-        this.ctx.fillText(`${this.username}: ` + this.score, 20, 40);
+        this.ctx.fillText(text, 20, 40);
+
+        this.ctx.restore();
+
+        this.drawGhostDelta();
+        this.drawCombo();
+    },
+
+    /**
+     * Draws the score difference with the ghost under the score.
+     * Uses green when the player is ahead (or tied) and red when behind.
+     */
+    drawGhostDelta() {
+        if (!this.ghost) return;
+
+        const delta = this.score - this.ghost.score;
+        const sign = (delta > 0) ? "+" : "";
+        const color = (delta >= 0) ? "#39ff14" : "#ff0033";
+
+        this.ctx.save();
+
+        this.ctx.font = "bold 1rem 'Press Start 2P', cursive";
+        this.ctx.textBaseline = "top";
+        this.ctx.textAlign = "left";
+        this.ctx.fillStyle = color;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 12;
+        this.ctx.fillText(`VS ${this.ghost.username}: ${sign}${delta}`, 20, 95);
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Draws the combo counter and its multiplier under the score.
+     * Pops on each increment; when a streak breaks, the lost combo fades out in red.
+     */
+    drawCombo() {
+        const x = 20;
+        const y = this.ghost ? 130 : 95;
+        const now = this.animationNow();
+
+        this.ctx.save();
+
+        this.ctx.font = "bold 1.2rem 'Press Start 2P', cursive";
+        this.ctx.textBaseline = "middle";
+        this.ctx.textAlign = "left";
+
+        if (this.combo >= 2) {
+            // Pops the counter right after an increment.
+            let scale = 1;
+            if (this.comboAnimStart !== null) {
+                const p = (now - this.comboAnimStart) / this.comboAnimDuration;
+                if (p < 1) {
+                    scale = 1 + 0.3 * Math.sin(p * Math.PI);
+                }
+            }
+
+            const multiplier = this.getComboMultiplier();
+            const color = (multiplier > 1) ? "#fff700" : "#00faff";
+            const text = (multiplier > 1) ? `COMBO ${this.combo}  x${multiplier}` : `COMBO ${this.combo}`;
+
+            this.ctx.translate(x, y + 12);
+            this.ctx.scale(scale, scale);
+            this.ctx.fillStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 12 + 8 * multiplier;
+            this.ctx.fillText(text, 0, 0);
+        }
+        else if (this.comboBreakAnimStart !== null) {
+            const p = (now - this.comboBreakAnimStart) / this.comboBreakAnimDuration;
+
+            if (p < 1) {
+                // Drifts down while fading out.
+                this.ctx.globalAlpha = 1 - p;
+                this.ctx.fillStyle = "#ff0033";
+                this.ctx.shadowColor = "#ff0033";
+                this.ctx.shadowBlur = 12;
+                this.ctx.fillText(`COMBO ${this.brokenCombo} BROKEN`, x, y + 12 + 20 * p);
+            }
+            else {
+                this.comboBreakAnimStart = null;
+            }
+        }
 
         this.ctx.restore();
     },
@@ -709,7 +1883,7 @@ const gamePrototype = {
 
         // Applies a blinking effect when health is critical.
         if (this.lives <= 1) {
-            const t = (performance.now() - this.blinkStart) / 1000;
+            const t = (this.animationNow() - this.blinkStart) / 1000;
             const blink = 0.25 + 0.75 * Math.abs(Math.sin(t * Math.PI * 2));
             this.ctx.globalAlpha = blink;
         }
@@ -720,16 +1894,18 @@ const gamePrototype = {
         let shakeY = 0;
 
         if (this.livesLostAnimStart !== null) {
-            const elapsed = performance.now() - this.livesLostAnimStart;
+            const elapsed = this.animationNow() - this.livesLostAnimStart;
 
             if (elapsed <= this.livesLostAnimDuration) {
                 const p = elapsed / this.livesLostAnimDuration;
                 const pulse = Math.sin(p * Math.PI);
                 scale = 1 + 0.18 * pulse;
 
-                // Adds a bounded random shake to reinforce impact feedback.
-                shakeX = (Math.random() - 0.5) * 4;
-                shakeY = (Math.random() - 0.5) * 3;
+                // Adds a bounded random shake to reinforce impact feedback (held still while paused).
+                if (!this.paused) {
+                    shakeX = (Math.random() - 0.5) * 4;
+                    shakeY = (Math.random() - 0.5) * 3;
+                }
             } else {
                 this.livesLostAnimStart = null;
             }
@@ -775,6 +1951,135 @@ const gamePrototype = {
         this.ctx.restore();
     },
 
+    /**
+     * Draws the timers of active power-up effects, right-aligned under the hearts.
+     * Each timer shows the effect label (with its stack count) and a bar shrinking
+     * with the remaining time; it blinks during its last two seconds.
+     */
+    drawEffects() {
+        const effects = this.effects.list();
+        if (effects.length === 0) return;
+
+        this.ctx.save();
+
+        const barWidth = 160;
+        const barHeight = 8;
+        const rowHeight = 38;
+        const marginRight = 20;
+        let y = 95;
+
+        this.ctx.font = "bold 0.9rem 'Press Start 2P', cursive";
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = "top";
+
+        for (const effect of effects) {
+            const x = this.canvas.width - marginRight;
+            const ratio = Math.max(0, effect.remaining / effect.duration);
+
+            // Shows the stack count when it matters (shield charges, score multiplier).
+            let label = effect.def.label;
+            if (effect.id === "double") {
+                label = `${label} x${this.getScoreMultiplier()}`;
+            }
+            else if (effect.stacks > 1) {
+                label = `${label} x${effect.stacks}`;
+            }
+
+            // Blinks when the effect is about to expire.
+            this.ctx.globalAlpha = 1;
+            if (effect.remaining < 2) {
+                const t = this.animationNow() / 1000;
+                this.ctx.globalAlpha = 0.35 + 0.65 * Math.abs(Math.sin(t * Math.PI * 3));
+            }
+
+            this.ctx.fillStyle = effect.def.color;
+            this.ctx.shadowColor = effect.def.color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.fillText(`${label} ${Math.ceil(effect.remaining)}s`, x, y);
+
+            // Draws the remaining-time bar under the label.
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+            this.ctx.fillRect(x - barWidth, y + 18, barWidth, barHeight);
+            this.ctx.fillStyle = effect.def.color;
+            this.ctx.fillRect(x - barWidth * ratio, y + 18, barWidth * ratio, barHeight);
+
+            y += rowHeight;
+        }
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Draws the status of a structured run at the top center: the remaining time and the
+     * objective progress (green once reached). Blinks the time during the last five seconds.
+     */
+    drawRunStatus() {
+        const remaining = this.getTimeRemaining();
+        const status = this.getObjectiveStatus();
+        if (remaining === null && status === null) return;
+
+        const x = this.canvas.width / 2;
+
+        this.ctx.save();
+
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "top";
+
+        if (remaining !== null) {
+            const seconds = Math.ceil(remaining);
+            const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+            if (remaining <= 5 && !this.isGameOver()) {
+                const t = this.animationNow() / 1000;
+                this.ctx.globalAlpha = 0.35 + 0.65 * Math.abs(Math.sin(t * Math.PI * 3));
+            }
+
+            this.ctx.font = "bold 2em 'Press Start 2P', cursive";
+            this.ctx.fillStyle = (remaining <= 5) ? "#ff0033" : "#ffffff";
+            this.ctx.shadowColor = this.ctx.fillStyle;
+            this.ctx.shadowBlur = 12;
+            this.ctx.fillText(text, x, 40);
+        }
+
+        if (status !== null) {
+            const color = status.reached ? "#39ff14" : "#ffd700";
+
+            this.ctx.globalAlpha = 1;
+            this.ctx.font = "bold 1rem 'Press Start 2P', cursive";
+            this.ctx.fillStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.fillText(status.progress, x, 95);
+        }
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Draws the banner announcing a labelled wave (e.g. "EXAM RUSH!").
+     * Fades out over the banner duration; hidden once the run is over.
+     */
+    drawWaveBanner() {
+        const label = this.waves.getBanner();
+        if (!label || this.isGameOver()) return;
+
+        const p = this.waves.wave.elapsed / WAVE_BANNER_DURATION;
+
+        this.ctx.save();
+
+        this.ctx.globalAlpha = 1 - p * p;
+        this.ctx.font = "bold 2rem 'Press Start 2P', cursive";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillStyle = "#ff0033";
+        this.ctx.shadowColor = "#ff0033";
+        this.ctx.shadowBlur = 20;
+        this.ctx.fillText(label, this.canvas.width / 2, this.canvas.height / 3);
+
+        this.ctx.restore();
+    },
+
     /**
      * Draws the start screen overlay.
      * Renders a blinking primary instruction plus secondary hints describing controls and menu shortcuts.
@@ -787,7 +2092,7 @@ const gamePrototype = {
         this.ctx.save();
 
         // Computes a blinking alpha for the primary prompt to attract attention.
-        const t = (performance.now() - this.startPromptBlinkStart) / 1000;
+        const t = (this.animationNow() - this.startPromptBlinkStart) / 1000;
         const blink = 0.25 + 0.75 * (0.5 + 0.5 * Math.sin(t * Math.PI * 4));
         this.ctx.globalAlpha = blink;
 
@@ -880,11 +2185,11 @@ const gamePrototype = {
             this.canvas.height / 2 + 50
         );
 
-        // Draws movement control hints for both players and touch input.
+        // Draws movement control hints for both players (from their bindings) and touch input.
         this.ctx.shadowColor = "#00faff";
         this.ctx.shadowBlur = 10;
         this.ctx.fillText(
-            "PRESS Q/D (P1), ←/→ (P2) OR TOUCH SCREEN RIGHT/LEFT TO MOVE",
+            this.controlsHint,
             this.canvas.width / 2,
             this.canvas.height / 2 + 110
         );
@@ -892,18 +2197,35 @@ const gamePrototype = {
         this.ctx.shadowColor = "#00e1ff";
         this.ctx.shadowBlur = 25;
         this.ctx.fillText(
-            "PRESS Q/D (P1), ←/→ (P2) OR TOUCH SCREEN RIGHT/LEFT TO MOVE",
+            this.controlsHint,
             this.canvas.width / 2,
             this.canvas.height / 2 + 110
         );
 
         this.ctx.shadowBlur = 50;
         this.ctx.fillText(
-            "PRESS Q/D (P1), ←/→ (P2) OR TOUCH SCREEN RIGHT/LEFT TO MOVE",
+            this.controlsHint,
             this.canvas.width / 2,
             this.canvas.height / 2 + 110
         );
 
+        // Draws the dash hint (bound keys, and the double tap when a player follows the pointer).
+        this.ctx.shadowColor = "#00faff";
+        this.ctx.shadowBlur = 10;
+        this.ctx.fillText(
+            this.dashHint,
+            this.canvas.width / 2,
+            this.canvas.height / 2 + 140
+        );
+
+        this.ctx.shadowColor = "#00e1ff";
+        this.ctx.shadowBlur = 25;
+        this.ctx.fillText(
+            this.dashHint,
+            this.canvas.width / 2,
+            this.canvas.height / 2 + 140
+        );
+
         // Draws the gameplay objective hint (collect/avoid note types).
         this.ctx.shadowColor = "#00faff";
         this.ctx.shadowBlur = 10;
@@ -950,14 +2272,16 @@ const gamePrototype = {
     },
 
     /**
-     * Draws the "GAME OVER" overlay with a neon blinking effect.
+     * Draws the "GAME OVER" overlay (or "TIME UP" when a timed run ran out) with a neon blinking effect.
      * Also triggers the one-shot game-over transition logic.
      */
     drawGameOver() {
+        const title = (this.endReason === "time") ? "TIME UP" : "GAME OVER";
+
         this.ctx.save();
 
         // Uses a time-based sine wave to drive blinking opacity.
-        const t = performance.now() / 1000;
+        const t = this.animationNow() / 1000;
         const blink = 0.25 + 0.75 * (0.5 + 0.5 * Math.sin(t * Math.PI * 4));
         this.ctx.globalAlpha = blink;
 
@@ -969,35 +2293,210 @@ const gamePrototype = {
         // Renders neon glow layers.
         this.ctx.shadowColor = "#ff0033";
         this.ctx.shadowBlur = 15;
-        this.ctx.fillText("GAME OVER", this.canvas.width / 2, this.canvas.height / 2);
+        this.ctx.fillText(title, this.canvas.width / 2, this.canvas.height / 2);
 
         this.ctx.shadowColor = "#ff3333";
         this.ctx.shadowBlur = 35;
-        this.ctx.fillText("GAME OVER", this.canvas.width / 2, this.canvas.height / 2);
+        this.ctx.fillText(title, this.canvas.width / 2, this.canvas.height / 2);
 
         this.ctx.shadowColor = "#330008";
         this.ctx.shadowBlur = 70;
-        this.ctx.fillText("GAME OVER", this.canvas.width / 2, this.canvas.height / 2);
+        this.ctx.fillText(title, this.canvas.width / 2, this.canvas.height / 2);
 
         this.ctx.restore();
 
-        // Ensures game-over side effects execute exactly once.
-        if (!this.gameOverAlreadyHandled) {
-            this.gameOverAlreadyHandled = true;
+        // Ensures game-over side effects execute exactly once (gameOver moves the engine to "Over").
+        if (this.phase.is("Dying")) {
             this.gameOver(true);
         }
     },
 
+    /**
+     * Computes the on-canvas layout of the pause menu.
+     * Shared by the renderer and by pointer hit-testing so both always agree.
+     *
+     * @returns {{titleY: number, options: Array<{label: string, x: number, y: number, w: number, h: number}>}}
+     */
+    getPauseMenuLayout() {
+        const centerX = this.canvas.width / 2;
+        const firstY = this.canvas.height / 2 - 10;
+        const spacing = 70;
+        const w = 520;
+        const h = 56;
+
+        return {
+            titleY: this.canvas.height / 2 - 120,
+            options: PAUSE_MENU_OPTIONS.map((label, i) => ({
+                label,
+                x: centerX - w / 2,
+                y: firstY + i * spacing - h / 2,
+                w,
+                h
+            }))
+        };
+    },
+
+    /**
+     * Returns the pause menu entry under a pointer position.
+     * Converts client coordinates to canvas pixels, since the canvas is CSS-scaled.
+     *
+     * @param {number} clientX - Pointer X in viewport coordinates
+     * @param {number} clientY - Pointer Y in viewport coordinates
+     * @returns {number} Index of the entry, or -1 when none is hit
+     */
+    getPauseMenuOptionAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (this.canvas.height / rect.height);
+
+        return this.getPauseMenuLayout().options.findIndex((o) =>
+            x >= o.x && x <= o.x + o.w && y >= o.y && y <= o.y + o.h
+        );
+    },
+
+    /**
+     * Draws the pause overlay: dimmed scene, title, and the selectable entries.
+     * Highlights the selected entry in yellow, like the leaderboard's top rank.
+     */
+    drawPauseMenu() {
+        const layout = this.getPauseMenuLayout();
+
+        this.ctx.save();
+
+        // Dims the frozen scene underneath.
+        this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+
+        this.ctx.font = "bold 3rem 'Press Start 2P', cursive";
+        this.ctx.fillStyle = "#00faff";
+        this.ctx.shadowColor = "#00faff";
+        this.ctx.shadowBlur = 25;
+        this.ctx.fillText("PAUSED", this.canvas.width / 2, layout.titleY);
+
+        this.ctx.font = "bold 1.4rem 'Press Start 2P', cursive";
+
+        layout.options.forEach((o, i) => {
+            const selected = (i === this.pauseMenuIndex);
+            const color = selected ? "#fff700" : "#00faff";
+
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = selected ? 4 : 2;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = selected ? 20 : 8;
+            this.ctx.strokeRect(o.x, o.y, o.w, o.h);
+
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(o.label, o.x + o.w / 2, o.y + o.h / 2);
+        });
+
+        this.ctx.restore();
+    },
+
     /* =========================
        Main loop
     ========================= */
 
+    /**
+     * Advances the simulation by exactly one fixed step.
+     * Contains every state mutation of a run so that it only depends on simulated time.
+     *
+     * @param {number} dt - Simulated time step in seconds
+     */
+    tick(dt) {
+        this.applyTickInput();
+        this.updateDifficulty(dt);
+        this.effects.update(dt);
+
+        // Spawns notes only while the run is active and not yet in game over:
+        // wave notes that are due, then random notes (the per-second spawn rate, scaled
+        // down during waves, converted into a per-step probability).
+        if (!this.isGameOver()) {
+            for (const event of this.waves.update(dt, this.difficultyLevel, this.getLaneCount(), this.rng)) {
+                this.spawnNote(event);
+            }
+
+            if (this.rng.next() < this.getSpawnRate() * this.waves.getAmbientScale() * dt) {
+                this.spawnNote();
+            }
+        }
+
+        // Updates simulation (positions, collisions, player movement).
+        this.updateNotes(dt);
+        this.updatePlayer(dt);
+
+        // Advances the ghost in lockstep so both runs share the same timeline.
+        if (this.ghost) {
+            this.ghost.tick(dt);
+        }
+
+        this.tickCount++;
+
+        // Ends timed runs once their duration has elapsed.
+        this.checkTimeUp();
+    },
+
+    /**
+     * Resolves the input state used by the upcoming tick.
+     * During playback, the recorded stream replaces live input; otherwise the live
+     * sources (keyboard or touch, pointer, and gamepad) are merged and sampled into the recording,
+     * at the tick where they take effect.
+     */
+    applyTickInput() {
+        if (this.replayPlayer) {
+            this.input = this.replayPlayer.inputAt(this.tickCount);
+
+            // Ends playback once the recorded duration is exhausted, even if the run diverged.
+            if (this.replayPlayer.isExhausted(this.tickCount) && !this.isGameOver()) {
+                this.lives = 0;
+                this.checkGameOver();
+            }
+            return;
+        }
+
+        this.input = {
+            left: this.leftPressed || this.padLeft,
+            right: this.rightPressed || this.padRight,
+            axis: this.padAxis,
+            target: this.pointerX,
+            dash: this.dashPressed || this.padDash || this.dashGesture
+        };
+
+        // A double tap dashes for a single tick.
+        this.dashGesture = false;
+
+        if (this.recorder && !this.isGameOver()) {
+            this.recorder.sample(this.tickCount, this.input);
+        }
+    },
+
+    /**
+     * Measures the wall-clock time elapsed since the previous frame.
+     * Clamps the result so a backgrounded tab does not trigger a burst of catch-up steps.
+     *
+     * @param {number} now - Current frame timestamp in milliseconds
+     * @returns {number} Elapsed time in seconds
+     */
+    consumeFrameDelta(now) {
+        const last = this.lastFrameTime ?? now;
+        this.lastFrameTime = now;
+
+        return Math.min(this.maxFrameDelta, Math.max(0, (now - last) / 1000));
+    },
+
     /**
      * Main loop: clears the frame, renders background, updates and draws entities,
      * and overlays start/game-over states.
-     * Uses requestAnimationFrame to keep animation smooth and browser-scheduled.
+     * Uses requestAnimationFrame to keep animation smooth and browser-scheduled,
+     * while the simulation itself runs in fixed steps drained from an accumulator.
+     *
+     * @param {number} [now] - Frame timestamp provided by requestAnimationFrame
      */
-    loop() {
+    loop(now = performance.now()) {
+        const frameDelta = this.consumeFrameDelta(now);
+
         // Clears the previous frame.
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -1005,32 +2504,45 @@ const gamePrototype = {
         this.drawBackground();
 
         // Start screen: renders prompt and pauses gameplay logic.
-        if (!this.gameStarted && !this.isGameOver) {
+        if (this.phase.is("Idle")) {
+            this.accumulator = 0;
             this.drawPressToStart();
             requestAnimationFrame(this.loop);
             return;
         }
 
-        // Spawns notes only while the run is active and not yet in game over.
-        if (!this.isGameOver && Math.random() < 0.03 + (this.difficultyLevel / 300)) {
-            this.spawnNote();
+        // Runs as many fixed steps as the elapsed time allows; the remainder carries over.
+        // No step runs while paused, which freezes notes, the player, and the difficulty ramp.
+        if (!this.paused) {
+            this.accumulator += frameDelta;
+            while (this.accumulator >= this.fixedStep) {
+                this.tick(this.fixedStep);
+                this.accumulator -= this.fixedStep;
+            }
         }
 
-        // Updates simulation (positions, collisions, player movement).
-        this.updateNotes();
-        this.updatePlayer();
-
         // Renders entities and HUD.
         this.drawPlayer();
         this.drawNotes();
+        if (this.showHitboxes) {
+            this.drawHitboxes();
+        }
         this.drawScore();
         this.drawLives();
+        this.drawEffects();
+        this.drawRunStatus();
+        this.drawWaveBanner();
 
         // Overlays the game over screen (and triggers one-shot transition effects).
-        if (this.isGameOver) {
+        if (this.isGameOver()) {
             this.drawGameOver();
         }
 
+        // Overlays the pause menu on top of the frozen frame.
+        if (this.paused) {
+            this.drawPauseMenu();
+        }
+
         // Schedules the next animation frame.
         requestAnimationFrame(this.loop);    
     }
@@ -0,0 +1,200 @@
+/**
+ * Defines GamepadInput: Gamepad API support, polled once per animation frame.
+ *
+ * Each connected pad is assigned to a player slot (Player 1, then Player 2) in connection
+ * order, and drives the engine of that slot: the left stick moves the student at a speed
+ * proportional to its tilt, the d-pad moves it left/right like the keyboard keys, and
+ * X or the right shoulder button dashes. A is left out of the dash: it starts and resumes
+ * runs, and would still be held on their first tick.
+ * Pads can be plugged or unplugged at any time; a freed slot goes to the next pad.
+ *
+ * Buttons (standard mapping) are also reported as named presses to a listener, which maps them
+ * to menu actions (see gamepadButtonHandler):
+ *  - a: start / confirm, b: back / resume, y or back: highscores, start: start / pause,
+ *  - up / down: pause menu navigation.
+ */
+
+/**
+ * Standard-mapping indices of the buttons the game uses.
+ */
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    rb: 5,
+    back: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+/**
+ * Stick tilt ignored around the rest position, and the number of speed steps per direction.
+ * Quantizing the tilt keeps recorded replays small: only step changes are stored.
+ */
+const GAMEPAD_DEAD_ZONE = 0.2;
+const GAMEPAD_AXIS_STEPS = 20;
+
+/**
+ * GamepadInput constructor.
+ *
+ * @constructor
+ * @param {Game[]} games - Engine of each player slot, in slot order
+ */
+function GamepadInput(games) {
+    this.games = games;
+
+    // Pad index assigned to each slot, or null when the slot has no pad.
+    this.slots = games.map(() => null);
+
+    // Pressed flags of every pad at the previous poll, keyed by pad index (edge detection).
+    this.previousButtons = {};
+
+    // Listeners notified of button presses (name, slot) and of a pad lost mid-session (slot).
+    this.onButton = null;
+    this.onPadLost = null;
+
+    this.poll = this.poll.bind(this);
+}
+
+/**
+ * Groups GamepadInput prototype methods.
+ */
+const gamepadInputPrototype = {
+    /**
+     * Listens to pad connections and starts polling.
+     * Does nothing when the browser has no Gamepad API.
+     */
+    attach() {
+        if (typeof navigator.getGamepads !== "function") return;
+
+        window.addEventListener("gamepadconnected", (e) => {
+            this.assign(e.gamepad.index);
+        });
+
+        window.addEventListener("gamepaddisconnected", (e) => {
+            this.release(e.gamepad.index);
+        });
+
+        requestAnimationFrame(this.poll);
+    },
+
+    /**
+     * Returns the slot a pad is assigned to.
+     *
+     * @param {number} index - Pad index (Gamepad.index)
+     * @returns {number|null} Slot index, or null when the pad has no slot
+     */
+    getSlot(index) {
+        const slot = this.slots.indexOf(index);
+
+        return (slot >= 0) ? slot : null;
+    },
+
+    /**
+     * Assigns a pad to the first free slot, unless it already has one.
+     *
+     * @param {number} index - Pad index (Gamepad.index)
+     * @returns {number|null} Slot index, or null when every slot is taken
+     */
+    assign(index) {
+        const current = this.getSlot(index);
+        if (current !== null) return current;
+
+        const slot = this.slots.indexOf(null);
+        if (slot < 0) return null;
+
+        this.slots[slot] = index;
+        return slot;
+    },
+
+    /**
+     * Frees the slot of a disconnected pad and stops the movement it was driving.
+     *
+     * @param {number} index - Pad index (Gamepad.index)
+     */
+    release(index) {
+        delete this.previousButtons[index];
+
+        const slot = this.getSlot(index);
+        if (slot === null) return;
+
+        this.slots[slot] = null;
+        this.games[slot].setGamepadState(false, false, 0, false);
+
+        if (this.onPadLost) {
+            this.onPadLost(slot);
+        }
+    },
+
+    /**
+     * Reads the horizontal tilt of the left stick.
+     * Rescales it past the dead zone so the slowest speed starts right at its edge.
+     *
+     * @param {Gamepad} pad - Polled pad
+     * @returns {number} Tilt in [-1, 1], quantized to GAMEPAD_AXIS_STEPS steps per direction
+     */
+    readAxis(pad) {
+        const raw = pad.axes[0] ?? 0;
+        const magnitude = Math.abs(raw);
+
+        if (!(magnitude > GAMEPAD_DEAD_ZONE)) return 0;
+
+        const scaled = Math.min(1, (magnitude - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE));
+        const quantized = Math.round(scaled * GAMEPAD_AXIS_STEPS) / GAMEPAD_AXIS_STEPS;
+
+        return Math.sign(raw) * quantized;
+    },
+
+    /**
+     * Polls every pad: refreshes the movement state of the assigned engines and reports
+     * newly pressed buttons. Also assigns pads whose connection event was missed and
+     * releases pads that vanished without one. Reschedules itself every frame.
+     */
+    poll() {
+        const seen = new Set();
+
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+
+            seen.add(pad.index);
+
+            const slot = this.assign(pad.index);
+            const pressed = pad.buttons.map((button) => button.pressed);
+            const previous = this.previousButtons[pad.index] ?? [];
+
+            this.previousButtons[pad.index] = pressed;
+
+            if (slot !== null) {
+                this.games[slot].setGamepadState(
+                    Boolean(pressed[GAMEPAD_BUTTONS.left]),
+                    Boolean(pressed[GAMEPAD_BUTTONS.right]),
+                    this.readAxis(pad),
+                    Boolean(pressed[GAMEPAD_BUTTONS.x] || pressed[GAMEPAD_BUTTONS.rb])
+                );
+            }
+
+            if (this.onButton) {
+                for (const [name, button] of Object.entries(GAMEPAD_BUTTONS)) {
+                    if (pressed[button] && !previous[button]) {
+                        this.onButton(name, slot);
+                    }
+                }
+            }
+        }
+
+        for (const index of this.slots) {
+            if (index !== null && !seen.has(index)) {
+                this.release(index);
+            }
+        }
+
+        requestAnimationFrame(this.poll);
+    }
+};
+
+// Assigns the grouped methods to the GamepadInput prototype.
+Object.assign(GamepadInput.prototype, gamepadInputPrototype);
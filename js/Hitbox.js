@@ -0,0 +1,170 @@
+/**
+ * Defines collision shapes (hitboxes) of the player and of note types.
+ *
+ * A hitbox is one shape or a list of shapes laid out on the sprite box, in fractions of
+ * the sprite size so it follows the sprite whatever size it is drawn at. Two sprites
+ * collide when any shape of one overlaps any shape of the other. Without a declaration,
+ * the hitbox is the whole sprite rectangle.
+ *
+ * Shape declarations:
+ *  - { type: "rect", inset }              the sprite rectangle shrunk by "inset": one fraction
+ *                                         for every side, or [top, right, bottom, left]
+ *  - { type: "circle", x, y, radius }     a circle centered at (x, y) of the sprite box, its
+ *                                         radius a fraction of the smaller sprite side
+ *
+ * e.g. [{ type: "circle", x: 0.45, y: 0.3, radius: 0.3 }, { type: "rect", inset: [0.5, 0.1, 0, 0.2] }]
+ */
+
+/**
+ * Shape registry, keyed by shape identifier.
+ * Each entry lists its default parameters, validates a declaration (returning an error
+ * message, or null when valid), places it on a sprite box in canvas coordinates, and
+ * outlines a placed shape (debug overlay):
+ *  - place(params, x, y, w, h) => placed shape
+ *  - trace(ctx, shape), adding the outline to the current path.
+ */
+const HITBOX_SHAPES = {
+    // Inset rectangle, placed as { type: "rect", x, y, w, h }.
+    rect: {
+        defaults: { inset: 0 },
+        validate: (p) => {
+            const inset = Array.isArray(p.inset) ? p.inset : [p.inset, p.inset, p.inset, p.inset];
+            const valid = inset.length === 4
+                && inset.every((side) => Number.isFinite(side) && side >= 0)
+                && inset[0] + inset[2] < 1
+                && inset[1] + inset[3] < 1;
+
+            return valid ? null : `"inset" must be a fraction or [top, right, bottom, left] leaving part of the sprite`;
+        },
+        place: (p, x, y, w, h) => {
+            const [top, right, bottom, left] = Array.isArray(p.inset) ? p.inset : [p.inset, p.inset, p.inset, p.inset];
+
+            return { type: "rect", x: x + left * w, y: y + top * h, w: (1 - left - right) * w, h: (1 - top - bottom) * h };
+        },
+        trace: (ctx, shape) => {
+            ctx.rect(shape.x, shape.y, shape.w, shape.h);
+        }
+    },
+    // Circle, placed as { type: "circle", x, y, r } (center and radius).
+    circle: {
+        defaults: { x: 0.5, y: 0.5, radius: 0.5 },
+        validate: (p) => fraction(p, "x") ?? fraction(p, "y")
+            ?? ((Number.isFinite(p.radius) && p.radius > 0) ? null : `"radius" must be a positive number`),
+        place: (p, x, y, w, h) => ({ type: "circle", x: x + p.x * w, y: y + p.y * h, r: p.radius * Math.min(w, h) }),
+        trace: (ctx, shape) => {
+            ctx.moveTo(shape.x + shape.r, shape.y);
+            ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+        }
+    }
+};
+
+/**
+ * Validates a hitbox declaration and merges each shape with its defaults.
+ *
+ * @param {Object|Object[]} [declaration] - Shape declaration, list of shapes, or nothing for
+ *        the whole sprite rectangle
+ * @returns {Array<{type: string, params: Object}>} Compiled shapes
+ * @throws {Error} When the declaration is invalid
+ */
+function compileHitbox(declaration) {
+    const shapes = Array.isArray(declaration) ? declaration : [declaration ?? { type: "rect" }];
+
+    if (shapes.length === 0) {
+        throw new Error("Invalid hitbox: the shape list is empty.");
+    }
+
+    return shapes.map((decl) => {
+        const shape = decl && HITBOX_SHAPES[decl.type];
+
+        if (!shape) {
+            throw new Error(`Invalid hitbox: unknown shape "${decl?.type}".`);
+        }
+
+        const { type, ...overrides } = decl;
+        const params = { ...shape.defaults, ...overrides };
+        const error = shape.validate(params);
+
+        if (error !== null) {
+            throw new Error(`Invalid hitbox (${type}): ${error}.`);
+        }
+
+        return { type, params };
+    });
+}
+
+/**
+ * Places a compiled hitbox on a sprite box.
+ *
+ * @param {Array<{type: string, params: Object}>} hitbox - Compiled shapes (see compileHitbox)
+ * @param {number} x - Sprite X position
+ * @param {number} y - Sprite Y position
+ * @param {number} w - Sprite render width
+ * @param {number} h - Sprite render height
+ * @returns {Object[]} Shapes in canvas coordinates
+ */
+function placeHitbox(hitbox, x, y, w, h) {
+    return hitbox.map((shape) => HITBOX_SHAPES[shape.type].place(shape.params, x, y, w, h));
+}
+
+/**
+ * Tells whether two placed shapes overlap (touching edges do not count).
+ *
+ * @param {Object} a - Placed shape
+ * @param {Object} b - Placed shape
+ * @returns {boolean} True when the shapes intersect
+ */
+function shapesOverlap(a, b) {
+    if (a.type === "rect" && b.type === "rect") {
+        return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+    }
+
+    if (a.type === "circle" && b.type === "circle") {
+        const radii = a.r + b.r;
+        return (a.x - b.x) ** 2 + (a.y - b.y) ** 2 < radii * radii;
+    }
+
+    // Circle against rectangle: compares the radius with the closest point of the rectangle.
+    const [circle, rect] = (a.type === "circle") ? [a, b] : [b, a];
+    const dx = circle.x - Math.max(rect.x, Math.min(circle.x, rect.x + rect.w));
+    const dy = circle.y - Math.max(rect.y, Math.min(circle.y, rect.y + rect.h));
+
+    return dx * dx + dy * dy < circle.r * circle.r;
+}
+
+/**
+ * Tells whether two placed hitboxes overlap, i.e. whether any pair of their shapes does.
+ *
+ * @param {Object[]} a - Placed shapes (see placeHitbox)
+ * @param {Object[]} b - Placed shapes
+ * @returns {boolean} True when the hitboxes intersect
+ */
+function hitboxesOverlap(a, b) {
+    return a.some((shapeA) => b.some((shapeB) => shapesOverlap(shapeA, shapeB)));
+}
+
+/**
+ * Outlines placed shapes (hitbox debug overlay).
+ *
+ * @param {CanvasRenderingContext2D} ctx - Rendering context
+ * @param {Object[]} shapes - Placed shapes (see placeHitbox)
+ * @param {string} color - Outline color
+ */
+function drawHitbox(ctx, shapes, color) {
+    ctx.save();
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    for (const shape of shapes) {
+        HITBOX_SHAPES[shape.type].trace(ctx, shape);
+    }
+
+    ctx.globalAlpha = 0.2;
+    ctx.fill();
+    ctx.globalAlpha = 0.9;
+    ctx.stroke();
+
+    ctx.restore();
+}
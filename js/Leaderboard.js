@@ -0,0 +1,597 @@
+/**
+ * Defines the LeaderboardStore object: persistent highscore boards kept in local storage.
+ *
+ * Keeps one top-N board per game mode ("1P", "2P", their timed exam variants "1P-EXAM"
+ * and "2P-EXAM", their GPA variants "1P-GPA" and "2P-GPA", and any mode added later),
+ * so scores from different modes are never ranked against each other. GPA boards rank
+ * runs by grade average rather than by points, and only accept runs with at least
+ * GPA_MIN_CATCHES grades caught. The stored document carries a schema version; older
+ * documents are upgraded through the migration table, and documents written by a newer
+ * version are left untouched.
+ *
+ * Stored layout (JSON, under LEADERBOARD_STORAGE_KEY):
+ *  {
+ *    version: 1,
+ *    boards: {
+ *      "1P": [{ name, score, bestCombo, average, catches, user, mode, seed, date }, ...],   // best first
+ *      "2P": [...],
+ *      "1P-GPA": [...]
+ *    }
+ *  }
+ *
+ * Boards can also be exported to and imported from files, to merge the results of
+ * several machines: JSON (LEADERBOARD_FILE_FORMAT document) or CSV (one entry per row).
+ */
+
+/**
+ * Storage key and schema version of the leaderboard document.
+ */
+const LEADERBOARD_STORAGE_KEY = "leaderboard";
+const LEADERBOARD_VERSION = 1;
+
+/**
+ * Upgrades a leaderboard document by one version.
+ * Keyed by the version being upgraded from; each step returns the next version's document.
+ */
+const LEADERBOARD_MIGRATIONS = {};
+
+/**
+ * Identifies exported leaderboard files and the column order of CSV exports.
+ */
+const LEADERBOARD_FILE_FORMAT = "grade-rain-leaderboard";
+const LEADERBOARD_CSV_COLUMNS = ["mode", "name", "score", "bestCombo", "date", "seed", "user", "average", "catches"];
+
+/**
+ * Suffix of the boards ranking runs by grade average, and the number of grades a run
+ * must have caught to enter them (a single lucky A must not top the board).
+ */
+const GPA_MODE_SUFFIX = "-GPA";
+const GPA_MIN_CATCHES = 10;
+
+/**
+ * Returns the leaderboard mode matching a player count, a scoring mode and the board
+ * of the run rules.
+ *
+ * @param {number} numberOfPlayers - Player count (1 or 2)
+ * @param {string} [scoring] - "points" or "gpa"
+ * @param {string|null} [board] - Board suffix of the run rules (e.g. "EXAM"), null for endless runs
+ * @returns {string} Mode identifier (e.g. "1P", "2P-GPA", "1P-EXAM", "2P-EXAM-GPA")
+ */
+function leaderboardModeFor(numberOfPlayers, scoring = "points", board = null) {
+    const base = (board !== null) ? `${numberOfPlayers}P-${board}` : `${numberOfPlayers}P`;
+
+    return (scoring === "gpa") ? `${base}${GPA_MODE_SUFFIX}` : base;
+}
+
+/**
+ * Tells whether a board ranks runs by grade average.
+ *
+ * @param {string} mode - Mode identifier
+ * @returns {boolean} True for GPA boards
+ */
+function isGpaMode(mode) {
+    return mode.endsWith(GPA_MODE_SUFFIX);
+}
+
+/**
+ * LeaderboardStore constructor.
+ *
+ * @constructor
+ * @param {Storage} storage - Backing Web Storage (normally localStorage)
+ * @param {number} limit - Number of entries kept per board
+ */
+function LeaderboardStore(storage, limit) {
+    this.storage = storage;
+    this.limit = limit;
+
+    // Set when the stored document comes from a newer version; prevents overwriting it.
+    this.readOnly = false;
+}
+
+/**
+ * Groups LeaderboardStore prototype methods.
+ */
+const leaderboardStorePrototype = {
+    /* =========================
+       Queries
+    ========================= */
+
+    /**
+     * Returns the ranked entries of a board, best first.
+     *
+     * @param {string} mode - Mode identifier (e.g. "1P")
+     * @returns {Array<Object>} Board entries (copy)
+     */
+    getBoard(mode) {
+        const boards = this.load().boards;
+        return (boards[mode] ?? []).slice();
+    },
+
+    /**
+     * Returns every board, keyed by mode.
+     *
+     * @returns {Object} Boards keyed by mode identifier
+     */
+    getBoards() {
+        return this.load().boards;
+    },
+
+    /**
+     * Returns the modes that currently have a board.
+     *
+     * @returns {Array<string>} Mode identifiers
+     */
+    getModes() {
+        return Object.keys(this.load().boards);
+    },
+
+    /* =========================
+       Updates
+    ========================= */
+
+    /**
+     * Records an entry on the board of its mode, then trims the board to the limit.
+     *
+     * @param {Object} entry - Entry to record
+     * @param {string} entry.name - Display name of the player
+     * @param {number} entry.score - Final score
+     * @param {string} entry.mode - Mode identifier (e.g. "1P")
+     * @param {string} [entry.user] - Logical player identifier (e.g. "Player 1")
+     * @param {number|null} [entry.seed] - Seed the run was played on
+     * @param {number|null} [entry.bestCombo] - Longest combo of the run
+     * @param {number|null} [entry.average] - Grade average of the run (required on GPA boards)
+     * @param {number|null} [entry.catches] - Number of grades caught (required on GPA boards)
+     * @param {string} [entry.date] - ISO date of the run; defaults to now
+     * @returns {number} Rank reached (0-based), or -1 when the entry did not make the board
+     */
+    addEntry(entry) {
+        const data = this.load();
+        const record = this.normalizeEntry({ date: new Date().toISOString(), ...entry });
+
+        if (record === null || this.readOnly) return -1;
+
+        const board = this.rank([...(data.boards[record.mode] ?? []), record]);
+        data.boards[record.mode] = board;
+
+        this.save(data);
+
+        return board.indexOf(record);
+    },
+
+    /**
+     * Merges imported entries into their boards.
+     * Skips invalid entries and entries already present, then re-ranks and trims each board.
+     *
+     * @param {Array<Object>} entries - Candidate entries (each carrying its mode)
+     * @returns {{added: number, duplicates: number, invalid: number}} Merge report
+     */
+    merge(entries) {
+        const data = this.load();
+        const report = { added: 0, duplicates: 0, invalid: 0 };
+
+        if (this.readOnly) {
+            report.invalid = entries.length;
+            return report;
+        }
+
+        const known = new Set();
+        for (const board of Object.values(data.boards)) {
+            for (const entry of board) {
+                known.add(this.entryKey(entry));
+            }
+        }
+
+        for (const candidate of entries) {
+            const record = this.isValidEntry(candidate) ? this.normalizeEntry(candidate) : null;
+
+            if (record === null) {
+                report.invalid++;
+                continue;
+            }
+
+            const key = this.entryKey(record);
+            if (known.has(key)) {
+                report.duplicates++;
+                continue;
+            }
+
+            known.add(key);
+            (data.boards[record.mode] ??= []).push(record);
+            report.added++;
+        }
+
+        for (const mode of Object.keys(data.boards)) {
+            data.boards[mode] = this.rank(data.boards[mode]);
+        }
+
+        this.save(data);
+
+        return report;
+    },
+
+    /**
+     * Empties a single board, or every board when no mode is given.
+     *
+     * @param {string} [mode] - Mode identifier
+     */
+    clear(mode) {
+        const data = this.load();
+
+        if (mode === undefined) {
+            data.boards = Object.create(null);
+        }
+        else {
+            delete data.boards[mode];
+        }
+
+        this.save(data);
+    },
+
+    /* =========================
+       Ranking
+    ========================= */
+
+    /**
+     * Sorts entries best first and keeps only the top entries.
+     * Points boards rank by score; GPA boards by average, then by number of grades.
+     * Ties keep the earliest run ahead.
+     *
+     * @param {Array<Object>} entries - Entries of a single board
+     * @returns {Array<Object>} Ranked and trimmed board
+     */
+    rank(entries) {
+        const ranked = entries.slice().sort((a, b) => {
+            if (isGpaMode(a.mode)) {
+                if (b.average !== a.average) {
+                    return b.average - a.average;
+                }
+                if (b.catches !== a.catches) {
+                    return b.catches - a.catches;
+                }
+            }
+            else if (b.score !== a.score) {
+                return b.score - a.score;
+            }
+            return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0);
+        });
+
+        return ranked.slice(0, this.limit);
+    },
+
+    /**
+     * Builds the identity of an entry, used to detect the same run imported twice.
+     *
+     * @param {Object} entry - Normalized entry
+     * @returns {string} Identity key
+     */
+    entryKey(entry) {
+        return [entry.mode, entry.name, entry.score, entry.date, entry.seed].join("|");
+    },
+
+    /**
+     * Checks an imported entry more strictly than normalizeEntry():
+     * imported files must name the player and carry a non-negative integer score.
+     *
+     * @param {Object} entry - Candidate entry
+     * @returns {boolean} True when the entry can be merged
+     */
+    isValidEntry(entry) {
+        return Boolean(entry)
+            && typeof entry.name === "string"
+            && entry.name.trim() !== ""
+            && Number.isInteger(Number(entry.score))
+            && Number(entry.score) >= 0
+            && (entry.date === undefined || entry.date === null || !Number.isNaN(new Date(entry.date).getTime()));
+    },
+
+    /**
+     * Validates an entry and coerces it to the stored shape.
+     * GPA boards only take entries with an average and enough grades caught.
+     *
+     * @param {Object} entry - Candidate entry
+     * @returns {Object|null} Normalized entry, or null when it cannot be stored
+     */
+    normalizeEntry(entry) {
+        if (!entry || typeof entry.mode !== "string" || entry.mode === "") return null;
+        if (!Number.isFinite(Number(entry.score))) return null;
+
+        const date = new Date(entry.date);
+        const hasCombo = entry.bestCombo !== null && entry.bestCombo !== undefined;
+        const hasAverage = entry.average !== null && entry.average !== undefined && entry.average !== "";
+        const hasCatches = entry.catches !== null && entry.catches !== undefined && entry.catches !== "";
+        const average = (hasAverage && Number(entry.average) >= 0 && Number(entry.average) <= 20) ? Number(entry.average) : null;
+        const catches = (hasCatches && Number.isInteger(Number(entry.catches))) ? Number(entry.catches) : null;
+
+        if (isGpaMode(entry.mode) && (average === null || catches === null || catches < GPA_MIN_CATCHES)) return null;
+
+        return {
+            name: String(entry.name ?? entry.user ?? "-").trim().substring(0, 12) || "-",
+            score: Number(entry.score),
+            bestCombo: (hasCombo && Number.isInteger(Number(entry.bestCombo))) ? Number(entry.bestCombo) : null,
+            average,
+            catches,
+            user: entry.user ?? null,
+            mode: entry.mode,
+            seed: Number.isFinite(entry.seed) ? entry.seed : null,
+            date: Number.isNaN(date.getTime()) ? new Date(0).toISOString() : date.toISOString()
+        };
+    },
+
+    /* =========================
+       Persistence
+    ========================= */
+
+    /**
+     * Reads the leaderboard document, upgrading older schema versions.
+     * A missing or corrupted document yields empty boards.
+     *
+     * @returns {{version: number, boards: Object}} Leaderboard document
+     */
+    load() {
+        let data = null;
+
+        try {
+            data = JSON.parse(this.storage.getItem(LEADERBOARD_STORAGE_KEY));
+        } catch (e) {
+            data = null;
+        }
+
+        if (!data || typeof data !== "object" || !Number.isInteger(data.version)) {
+            return this.emptyDocument();
+        }
+
+        // Keeps documents written by a newer game intact rather than downgrading them.
+        if (data.version > LEADERBOARD_VERSION) {
+            this.readOnly = true;
+            return this.emptyDocument();
+        }
+
+        while (data.version < LEADERBOARD_VERSION) {
+            const migrate = LEADERBOARD_MIGRATIONS[data.version];
+            if (!migrate) {
+                return this.emptyDocument();
+            }
+            data = migrate(data);
+        }
+
+        return this.sanitize(data);
+    },
+
+    /**
+     * Writes the leaderboard document.
+     * Ignores quota and privacy-mode errors: losing scores must never break the game.
+     *
+     * @param {{version: number, boards: Object}} data - Leaderboard document
+     */
+    save(data) {
+        if (this.readOnly) return;
+
+        try {
+            this.storage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify({
+                version: LEADERBOARD_VERSION,
+                boards: data.boards
+            }));
+        } catch (e) {}
+    },
+
+    /**
+     * Drops malformed entries and re-ranks every board.
+     * Boards are keyed by modes read from storage or imported files, so the map has no
+     * prototype: modes such as "__proto__" or "toString" are plain keys rather than
+     * inherited members.
+     *
+     * @param {Object} data - Document at the current version
+     * @returns {{version: number, boards: Object}} Clean document
+     */
+    sanitize(data) {
+        const boards = Object.create(null);
+        const source = (data.boards && typeof data.boards === "object") ? data.boards : {};
+
+        for (const [mode, entries] of Object.entries(source)) {
+            if (!Array.isArray(entries)) continue;
+
+            boards[mode] = this.rank(entries
+                .map((entry) => this.normalizeEntry({ ...entry, mode }))
+                .filter((entry) => entry !== null));
+        }
+
+        return { version: LEADERBOARD_VERSION, boards };
+    },
+
+    /**
+     * Builds a document with no boards.
+     *
+     * @returns {{version: number, boards: Object}} Empty document
+     */
+    emptyDocument() {
+        return { version: LEADERBOARD_VERSION, boards: Object.create(null) };
+    }
+};
+
+// Assigns the grouped methods to the LeaderboardStore prototype.
+Object.assign(LeaderboardStore.prototype, leaderboardStorePrototype);
+
+/**
+ * Serializes leaderboard boards to a JSON export document.
+ *
+ * @param {Object} boards - Boards keyed by mode
+ * @returns {string} JSON text
+ */
+function serializeLeaderboardJson(boards) {
+    return JSON.stringify({
+        format: LEADERBOARD_FILE_FORMAT,
+        version: LEADERBOARD_VERSION,
+        exportedAt: new Date().toISOString(),
+        boards
+    }, null, 2);
+}
+
+/**
+ * Serializes leaderboard boards to CSV, one entry per row, header first.
+ *
+ * @param {Object} boards - Boards keyed by mode
+ * @returns {string} CSV text
+ */
+function serializeLeaderboardCsv(boards) {
+    const rows = [LEADERBOARD_CSV_COLUMNS.join(",")];
+
+    for (const entries of Object.values(boards)) {
+        for (const entry of entries) {
+            rows.push(LEADERBOARD_CSV_COLUMNS.map((column) => csvField(entry[column])).join(","));
+        }
+    }
+
+    return rows.join("\r\n") + "\r\n";
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote, or a line break.
+ *
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = (value === null || value === undefined) ? "" : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting).
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of raw fields, blank lines removed
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (c === '"') {
+                quoted = false;
+            }
+            else {
+                field += c;
+            }
+        }
+        else if (c === '"') {
+            quoted = true;
+        }
+        else if (c === ",") {
+            row.push(field);
+            field = "";
+        }
+        else if (c === "\n" || c === "\r") {
+            // Treats CRLF as a single line break.
+            if (c === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        }
+        else {
+            field += c;
+        }
+    }
+
+    if (quoted) {
+        throw new Error("Invalid leaderboard: unterminated quoted CSV field.");
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parses an exported leaderboard file into a flat list of candidate entries.
+ *
+ * Accepts:
+ * - a JSON export document ({ format, version, boards });
+ * - a bare JSON array of Player records ({ name, score }), filed under the default mode;
+ * - a CSV export (header row naming at least "name" and "score").
+ *
+ * Entries are not validated here; LeaderboardStore.merge() skips invalid ones.
+ *
+ * @param {string} text - File contents
+ * @param {string} defaultMode - Mode used for entries that do not name one
+ * @returns {Array<Object>} Candidate entries
+ * @throws {Error} When the file is neither a leaderboard JSON export nor a CSV export
+ */
+function parseLeaderboardFile(text, defaultMode) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        let data;
+
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error("Invalid leaderboard: the file is not valid JSON.");
+        }
+
+        if (Array.isArray(data)) {
+            return data.map((entry) => ({ ...entry, mode: entry?.mode ?? defaultMode }));
+        }
+
+        if (data.format !== LEADERBOARD_FILE_FORMAT || !data.boards || typeof data.boards !== "object") {
+            throw new Error("Invalid leaderboard: unknown file format.");
+        }
+        if (data.version > LEADERBOARD_VERSION) {
+            throw new Error(`Invalid leaderboard: unsupported version ${data.version}.`);
+        }
+
+        const entries = [];
+        for (const [mode, board] of Object.entries(data.boards)) {
+            if (!Array.isArray(board)) continue;
+            for (const entry of board) {
+                entries.push({ ...entry, mode });
+            }
+        }
+        return entries;
+    }
+
+    const rows = parseCsvRows(trimmed);
+    // Matches header names case-insensitively against the exported columns.
+    const header = (rows.shift() ?? []).map((column) => {
+        const name = column.trim();
+        return LEADERBOARD_CSV_COLUMNS.find((known) => known.toLowerCase() === name.toLowerCase()) ?? name;
+    });
+
+    if (!header.includes("name") || !header.includes("score")) {
+        throw new Error("Invalid leaderboard: expected a JSON export or a CSV with name and score columns.");
+    }
+
+    return rows.map((row) => {
+        const entry = {};
+        header.forEach((column, i) => {
+            entry[column] = row[i] === undefined || row[i] === "" ? undefined : row[i];
+        });
+
+        return {
+            ...entry,
+            mode: entry.mode ?? defaultMode,
+            seed: entry.seed === undefined ? null : Number(entry.seed)
+        };
+    });
+}
+
+/**
+ * Builds a file name for a leaderboard export.
+ *
+ * @param {string} extension - "json" or "csv"
+ * @returns {string} File name stamped with the export date
+ */
+function leaderboardFileName(extension) {
+    return `grade-rain-leaderboard-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
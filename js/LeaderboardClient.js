@@ -0,0 +1,219 @@
+/**
+ * Defines the LeaderboardClient object: talks to the optional online leaderboard
+ * server (server/leaderboard-server.js).
+ *
+ * Every score recorded locally is also submitted online. Submissions go through a
+ * queue persisted in local storage: when the server cannot be reached, they stay
+ * queued and are retried later (with a growing delay, and as soon as the browser
+ * reports being back online), so runs played offline are not lost.
+ */
+
+/**
+ * Storage key of the pending submission queue, and the largest number of queued submissions.
+ * Oldest submissions are dropped first once the queue is full.
+ */
+const LEADERBOARD_QUEUE_KEY = "leaderboard_queue";
+const LEADERBOARD_QUEUE_LIMIT = 100;
+
+/**
+ * Retry delays (ms) after a failed submission: doubles from the minimum up to the maximum.
+ */
+const LEADERBOARD_RETRY_MIN_DELAY = 5000;
+const LEADERBOARD_RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Time (ms) after which a request to the server is abandoned.
+ */
+const LEADERBOARD_REQUEST_TIMEOUT = 5000;
+
+/**
+ * LeaderboardClient constructor.
+ *
+ * @constructor
+ * @param {string} baseUrl - Server root URL (e.g. "http://localhost:8787")
+ * @param {Storage} storage - Storage holding the submission queue (normally localStorage)
+ */
+function LeaderboardClient(baseUrl, storage) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.storage = storage;
+
+    // Retry bookkeeping.
+    this.flushing = false;
+    this.retryDelay = LEADERBOARD_RETRY_MIN_DELAY;
+    this.retryTimer = null;
+
+    // Retries right away when connectivity comes back.
+    window.addEventListener("online", () => this.flush());
+}
+
+/**
+ * Groups LeaderboardClient prototype methods.
+ */
+const leaderboardClientPrototype = {
+    /* =========================
+       Submissions
+    ========================= */
+
+    /**
+     * Queues a score for the online leaderboard and tries to send the queue.
+     *
+     * @param {Object} entry - Leaderboard entry ({ name, score, bestCombo, average, catches, mode, seed, date })
+     */
+    submit(entry) {
+        const queue = this.loadQueue();
+
+        // Tags the submission so the server can ignore a retry it already recorded.
+        queue.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            name: entry.name,
+            score: entry.score,
+            bestCombo: entry.bestCombo ?? null,
+            average: entry.average ?? null,
+            catches: entry.catches ?? null,
+            mode: entry.mode,
+            seed: entry.seed ?? null,
+            date: entry.date ?? new Date().toISOString()
+        });
+
+        this.saveQueue(queue.slice(-LEADERBOARD_QUEUE_LIMIT));
+        this.flush();
+    },
+
+    /**
+     * Sends queued submissions in order until the queue is empty or the server fails.
+     * Submissions rejected as invalid are dropped; network and server errors schedule a retry.
+     *
+     * @returns {Promise<void>} Resolves once the attempt is over
+     */
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        try {
+            let queue = this.loadQueue();
+
+            while (queue.length > 0) {
+                const response = await this.request("/api/scores", {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(queue[0])
+                });
+
+                // Retries later on server errors; client errors would fail again, so they are dropped.
+                if (response.status >= 500) {
+                    throw new Error(`Leaderboard server error ${response.status}.`);
+                }
+
+                // Re-reads the queue: scores may have been queued while the request was in flight.
+                queue = this.loadQueue();
+                queue.shift();
+                this.saveQueue(queue);
+            }
+
+            this.retryDelay = LEADERBOARD_RETRY_MIN_DELAY;
+        } catch (e) {
+            this.scheduleRetry();
+        } finally {
+            this.flushing = false;
+        }
+    },
+
+    /**
+     * Schedules the next flush attempt, doubling the delay each time.
+     */
+    scheduleRetry() {
+        if (this.retryTimer !== null) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, this.retryDelay);
+
+        this.retryDelay = Math.min(this.retryDelay * 2, LEADERBOARD_RETRY_MAX_DELAY);
+    },
+
+    /**
+     * Returns the number of submissions still waiting to be sent.
+     *
+     * @returns {number} Pending submission count
+     */
+    pendingCount() {
+        return this.loadQueue().length;
+    },
+
+    /* =========================
+       Queries
+    ========================= */
+
+    /**
+     * Fetches the global board of a game mode.
+     *
+     * @param {string} mode - Leaderboard mode (e.g. "1P")
+     * @returns {Promise<Array<Object>>} Board entries, best first
+     * @throws {Error} When the server cannot be reached or answers with an error
+     */
+    async fetchBoard(mode) {
+        const response = await this.request(`/api/leaderboard?mode=${encodeURIComponent(mode)}`);
+
+        if (!response.ok) {
+            throw new Error(`Leaderboard server error ${response.status}.`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data.entries) ? data.entries : [];
+    },
+
+    /**
+     * Sends a request to the server, abandoning it after LEADERBOARD_REQUEST_TIMEOUT.
+     *
+     * @param {string} path - Endpoint path
+     * @param {Object} [options] - fetch() options
+     * @returns {Promise<Response>} Server response
+     */
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LEADERBOARD_REQUEST_TIMEOUT);
+
+        try {
+            return await fetch(this.baseUrl + path, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /* =========================
+       Queue persistence
+    ========================= */
+
+    /**
+     * Reads the pending submission queue.
+     *
+     * @returns {Array<Object>} Pending submissions, oldest first
+     */
+    loadQueue() {
+        try {
+            const queue = JSON.parse(this.storage.getItem(LEADERBOARD_QUEUE_KEY));
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Writes the pending submission queue.
+     * Ignores quota errors: the online leaderboard must never break the game.
+     *
+     * @param {Array<Object>} queue - Pending submissions, oldest first
+     */
+    saveQueue(queue) {
+        try {
+            this.storage.setItem(LEADERBOARD_QUEUE_KEY, JSON.stringify(queue));
+        } catch (e) {}
+    }
+};
+
+// Assigns the grouped methods to the LeaderboardClient prototype.
+Object.assign(LeaderboardClient.prototype, leaderboardClientPrototype);
@@ -0,0 +1,284 @@
+/**
+ * Defines the MatchController object: owns the engines and coordinates a match,
+ * i.e. one run played by one or two players on a shared seed.
+ *
+ * Replaces the session-storage lock previously used to decide which engine triggers
+ * the highscores view. The controller knows who takes part, waits until every
+ * participant is over, then produces a single match result object:
+ *
+ *  {
+ *    kind: "run" | "ghost" | "replay" | "campaign" | "daily",
+ *    scoring,                // "points" or "gpa" (grade average)
+ *    mode,                   // leaderboard board the scores belong to (see leaderboardModeFor)
+ *    seed,
+ *    persist,                // whether highscores should be updated (never for runs under
+ *                            // rules without a board, such as campaign semesters)
+ *    players: [{ user, name, score, bestCombo, timeSurvived, objective, average, catches, grades }],
+ *    winner,                 // best player (by score, or by average in GPA scoring),
+ *                            // or null on a two-player tie
+ *    semester,               // { id, name, index } of a campaign run, null otherwise
+ *    daily,                  // { date, ranked } of a daily exam, null otherwise
+ *    passed                  // whether the campaign objective was met (false otherwise)
+ *  }
+ */
+
+/**
+ * Delay (ms) keeping "GAME OVER" readable before leaving the canvases.
+ */
+const MATCH_RESULTS_DELAY = 2000;
+
+/**
+ * MatchController constructor.
+ * Registers itself as the game-over listener of every engine.
+ *
+ * @constructor
+ * @param {Game[]} engines - All engine instances, in player order (game1, game2)
+ */
+function MatchController(engines) {
+    this.engines = engines;
+
+    // Current match context.
+    this.kind = "run";
+    this.scoring = "points";
+    this.rules = null;
+    this.participants = [];
+    this.finished = [];
+    this.replay = null;
+    this.semester = null;
+    this.daily = null;
+    this.seed = null;
+    this.persist = true;
+    this.result = null;
+
+    for (const engine of engines) {
+        engine.onGameOver = (game, update) => this.reportGameOver(game, update);
+    }
+}
+
+/**
+ * Groups MatchController prototype methods.
+ */
+const matchControllerPrototype = {
+    /**
+     * Starts a live match for the given number of players on a fresh shared seed.
+     *
+     * @param {number} playerCount - Number of participants (1 or 2)
+     * @param {string} [scoring] - "points", or "gpa" to rank players by grade average
+     * @param {Object|null} [rules] - Run rules (e.g. EXAM_SESSION_RULES), null for an endless run
+     */
+    start(playerCount, scoring = "points", rules = null) {
+        this.begin("run", this.engines.slice(0, playerCount), null, scoring);
+        this.rules = rules;
+
+        // Shares one seed between players so both face the same rain of notes.
+        this.seed = createRandomSeed();
+        for (const g of this.participants) {
+            g.setRules(rules);
+            g.start(this.seed);
+        }
+    },
+
+    /**
+     * Starts a campaign semester on the first engine, under the semester rules.
+     * Campaign runs have their own progress and never update highscores.
+     *
+     * @param {{id: string, name: string, index: number, rules: Object}} semester - Semester to play
+     */
+    playSemester(semester) {
+        this.begin("campaign", [this.engines[0]], null);
+        this.semester = semester;
+
+        this.seed = createRandomSeed();
+        this.engines[0].setRules(semester.rules);
+        this.engines[0].start(this.seed);
+    },
+
+    /**
+     * Starts the daily exam of a day on the first engine: the date-derived seed under
+     * DAILY_EXAM_RULES. Only the ranked attempt updates the day's board; practice runs
+     * are played the same way but never recorded.
+     *
+     * @param {string} dateKey - Day key ("YYYY-MM-DD")
+     * @param {boolean} ranked - Whether this is the player's ranked attempt of the day
+     */
+    playDaily(dateKey, ranked) {
+        this.begin("daily", [this.engines[0]], null);
+        this.daily = { date: dateKey, ranked };
+        this.persist = ranked;
+
+        this.seed = dailySeed(dateKey);
+        this.engines[0].setRules(DAILY_EXAM_RULES);
+        this.engines[0].start(this.seed);
+    },
+
+    /**
+     * Plays a recorded run back on the first engine. Never updates highscores.
+     *
+     * @param {Object} replay - Validated replay object
+     */
+    watch(replay) {
+        this.begin("replay", [this.engines[0]], replay);
+        this.seed = replay.seed;
+        this.engines[0].playReplay(replay);
+    },
+
+    /**
+     * Starts a single-player match against the ghost of a recorded run.
+     *
+     * @param {Object} replay - Validated replay object driving the ghost
+     */
+    raceGhost(replay) {
+        this.begin("ghost", [this.engines[0]], replay);
+        this.seed = replay.seed;
+        this.engines[0].raceGhost(replay);
+    },
+
+    /**
+     * Starts the current match over, keeping its kind:
+     * a watched replay starts over, a ghost race races the same ghost again,
+     * a semester is attempted again, a daily exam starts over as practice (the ranked
+     * attempt is spent), and a live match restarts with a fresh shared seed.
+     */
+    restart() {
+        if (this.kind === "replay") {
+            this.watch(this.replay);
+        }
+        else if (this.kind === "ghost") {
+            this.raceGhost(this.replay);
+        }
+        else if (this.kind === "campaign") {
+            this.playSemester(this.semester);
+        }
+        else if (this.kind === "daily") {
+            this.playDaily(this.daily.date, false);
+        }
+        else {
+            this.start(this.participants.length, this.scoring, this.rules);
+        }
+    },
+
+    /**
+     * Abandons the current match and returns every engine to its attract screen.
+     * No result is produced.
+     */
+    abandon() {
+        this.participants = [];
+        this.finished = [];
+
+        for (const g of this.engines) {
+            g.setRules(null);
+            g.resetStateToDefaults();
+        }
+    },
+
+    /**
+     * Resets the bookkeeping for a new match.
+     *
+     * @param {string} kind - "run", "ghost", "replay", or "campaign"
+     * @param {Game[]} participants - Engines taking part
+     * @param {Object|null} replay - Replay driving the match, if any
+     * @param {string} [scoring] - "points" or "gpa"
+     */
+    begin(kind, participants, replay, scoring = "points") {
+        this.kind = kind;
+        this.scoring = scoring;
+        this.rules = null;
+        this.participants = participants;
+        this.finished = [];
+        this.replay = replay;
+        this.semester = null;
+        this.daily = null;
+        this.persist = (kind !== "replay" && kind !== "campaign");
+        this.result = null;
+
+        for (const g of participants) {
+            g.setScoringMode(scoring);
+        }
+    },
+
+    /**
+     * Game-over listener of every engine.
+     * Once every participant is over, builds the result and leads the application
+     * through "Dying" to "Results".
+     *
+     * @param {Game} game - Engine whose run just ended
+     * @param {boolean} update - Whether this engine asks for highscores to be updated
+     */
+    reportGameOver(game, update) {
+        if (!this.participants.includes(game) || this.finished.includes(game)) return;
+
+        this.finished.push(game);
+        this.persist = this.persist && update;
+
+        // Waits for the other player in two-player matches.
+        if (this.finished.length < this.participants.length) return;
+
+        this.result = this.buildResult();
+        appState.transition("Dying");
+
+        setTimeout(() => {
+            // Stops the difficulty ramp to prevent background mutation after gameplay ends.
+            for (const g of this.participants) {
+                g.stopDifficultyRamp();
+            }
+
+            appState.transition("Results", this.result);
+        }, MATCH_RESULTS_DELAY);
+    },
+
+    /**
+     * Builds the result object of the match that just ended.
+     *
+     * @returns {Object} Match result (see file header)
+     */
+    buildResult() {
+        const players = this.participants.map((g) => ({
+            user: g.user,
+            name: g.username,
+            score: g.score,
+            bestCombo: g.bestCombo,
+            timeSurvived: g.getTimeSurvived(),
+            objective: g.getObjectiveStatus(),
+            average: g.getGradeAverage(),
+            catches: g.gradeCount,
+            grades: { ...g.gradeCounts }
+        }));
+
+        // Resolves the winner: the only player, or the strictly best one
+        // (a player without any grade ranks last in GPA scoring).
+        const value = (p) => (this.scoring === "gpa") ? (p.average ?? -1) : p.score;
+
+        let winner = players[0];
+        for (const p of players) {
+            if (value(p) > value(winner)) {
+                winner = p;
+            }
+        }
+        const tie = players.filter((p) => value(p) === value(winner)).length > 1;
+
+        // Ranks endless runs, runs under rules with their own board (a ghost race
+        // follows the rules of its replay), and daily exams on the board of their day.
+        const rules = this.participants[0].rules;
+        const board = rules?.board ?? null;
+        const ranked = (this.kind === "daily" || rules === null || board !== null);
+        const mode = (this.kind === "daily")
+            ? dailyLeaderboardMode(this.daily.date)
+            : leaderboardModeFor(players.length, this.scoring, board);
+
+        return {
+            kind: this.kind,
+            scoring: this.scoring,
+            mode,
+            seed: this.seed,
+            persist: this.persist && ranked,
+            players,
+            winner: tie ? null : winner,
+            semester: this.semester && { id: this.semester.id, name: this.semester.name, index: this.semester.index },
+            daily: this.daily && { ...this.daily },
+            passed: this.kind === "campaign" && Boolean(players[0].objective?.met)
+        };
+    }
+};
+
+// Assigns the grouped methods to the MatchController prototype.
+Object.assign(MatchController.prototype, matchControllerPrototype);
@@ -0,0 +1,170 @@
+/**
+ * Defines note movement behaviours.
+ *
+ * A behaviour moves a falling note for one simulation step. Note types pick one in their
+ * definition ({ type: "sine", amplitude: 40 }), and spawn waves may override it for their
+ * notes. Behaviours only move the note's position, so collisions (collidesWith) and the
+ * power-up effects acting on notes (slow-motion, magnet) work the same for all of them.
+ *
+ * Behaviours run on simulated time and draw from the game's seeded generator, so they
+ * pause with the game and replay identically.
+ */
+
+/**
+ * Behaviour registry, keyed by behaviour identifier.
+ * Each entry lists its default parameters, validates a declaration (returning an error
+ * message, or null when valid), creates the per-note state, and moves the note:
+ *  - init(note, params, rng) => state
+ *  - update(note, dt, params, state, field), field being { width, height, targetX }
+ *    and dt already scaled by slow-motion.
+ */
+const NOTE_MOVEMENTS = {
+    // Straight fall at the note speed.
+    fall: {
+        defaults: {},
+        validate: () => null,
+        init: () => ({}),
+        update: (note, dt) => {
+            note.y += note.dy * dt;
+        }
+    },
+    // Fall with a sinusoidal horizontal drift (amplitude in px, frequency in Hz).
+    sine: {
+        defaults: { amplitude: 50, frequency: 0.6 },
+        validate: (p) => nonNegative(p, "amplitude") ?? nonNegative(p, "frequency"),
+        init: (note, p, rng) => ({ t: 0, phase: rng.next() * 2 * Math.PI }),
+        update: (note, dt, p, state, field) => {
+            const omega = 2 * Math.PI * p.frequency;
+
+            // Moves by the derivative of the drift so that other horizontal pulls (magnet) add up.
+            state.t += dt;
+            note.x += p.amplitude * omega * Math.cos(omega * state.t + state.phase) * dt;
+            note.x = clampNoteX(note, field);
+            note.y += note.dy * dt;
+        }
+    },
+    // Diagonal fall bouncing off the canvas edges (horizontal speed in px/s).
+    bounce: {
+        defaults: { speed: 180 },
+        validate: (p) => nonNegative(p, "speed"),
+        init: (note, p, rng) => ({ vx: (rng.next() < 0.5) ? -p.speed : p.speed }),
+        update: (note, dt, p, state, field) => {
+            const maxX = field.width - note.w;
+
+            note.x += state.vx * dt;
+            if (note.x < 0) {
+                note.x = -note.x;
+                state.vx = Math.abs(state.vx);
+            }
+            else if (note.x > maxX) {
+                note.x = 2 * maxX - note.x;
+                state.vx = -Math.abs(state.vx);
+            }
+            note.x = clampNoteX(note, field);
+            note.y += note.dy * dt;
+        }
+    },
+    // Fall starting at a fraction of the note speed and speeding up (acceleration in px/s²).
+    accelerate: {
+        defaults: { startFactor: 0.4, acceleration: 300 },
+        validate: (p) => nonNegative(p, "startFactor") ?? nonNegative(p, "acceleration"),
+        init: (note, p) => ({ vy: note.dy * p.startFactor }),
+        update: (note, dt, p, state) => {
+            state.vy += p.acceleration * dt;
+            note.y += state.vy * dt;
+        }
+    },
+    // Fall pausing mid-air once its center reaches `at` (fraction of the canvas height).
+    hover: {
+        defaults: { at: 0.3, duration: 0.8 },
+        validate: (p) => fraction(p, "at") ?? nonNegative(p, "duration"),
+        init: () => ({ held: 0 }),
+        update: (note, dt, p, state, field) => {
+            if (state.held < p.duration && note.y + note.h / 2 >= p.at * field.height) {
+                state.held += dt;
+                return;
+            }
+            note.y += note.dy * dt;
+        }
+    },
+    // Fall steering toward the player (horizontal speed in px/s) until its center passes
+    // `until` (fraction of the canvas height), leaving a chance to dodge.
+    homing: {
+        defaults: { speed: 150, until: 0.7 },
+        validate: (p) => nonNegative(p, "speed") ?? fraction(p, "until"),
+        init: () => ({}),
+        update: (note, dt, p, state, field) => {
+            if (note.y + note.h / 2 < p.until * field.height) {
+                const offset = field.targetX - (note.x + note.w / 2);
+                const step = p.speed * dt;
+
+                note.x += Math.max(-step, Math.min(step, offset));
+                note.x = clampNoteX(note, field);
+            }
+            note.y += note.dy * dt;
+        }
+    }
+};
+
+/**
+ * Checks a non-negative numeric behaviour parameter.
+ *
+ * @param {Object} params - Behaviour parameters
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function nonNegative(params, key) {
+    return (Number.isFinite(params[key]) && params[key] >= 0) ? null : `"${key}" must be a non-negative number`;
+}
+
+/**
+ * Checks a parameter expressed as a fraction: of the canvas for behaviours, of the sprite
+ * box for hitbox shapes (see Hitbox.js).
+ *
+ * @param {Object} params - Behaviour or shape parameters
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function fraction(params, key) {
+    return (Number.isFinite(params[key]) && params[key] >= 0 && params[key] <= 1)
+        ? null
+        : `"${key}" must be between 0 and 1`;
+}
+
+/**
+ * Keeps a note horizontally inside the canvas.
+ *
+ * @param {Note} note - Moving note
+ * @param {{width: number}} field - Playfield dimensions
+ * @returns {number} Clamped X position
+ */
+function clampNoteX(note, field) {
+    return Math.max(0, Math.min(field.width - note.w, note.x));
+}
+
+/**
+ * Validates a movement declaration and merges it with the behaviour defaults.
+ *
+ * @param {Object|string} [declaration] - { type, ...params }, a behaviour identifier, or
+ *        nothing for a straight fall
+ * @returns {{type: string, params: Object}} Compiled movement
+ * @throws {Error} When the declaration is invalid
+ */
+function compileMovement(declaration) {
+    const decl = (typeof declaration === "string") ? { type: declaration } : (declaration ?? { type: "fall" });
+    const behavior = NOTE_MOVEMENTS[decl.type];
+
+    if (!behavior) {
+        throw new Error(`Invalid movement: unknown type "${decl.type}".`);
+    }
+
+    const { type, ...overrides } = decl;
+    const params = { ...behavior.defaults, ...overrides };
+    const error = behavior.validate(params);
+
+    if (error !== null) {
+        throw new Error(`Invalid movement (${type}): ${error}.`);
+    }
+
+    return { type, params };
+}
@@ -1,8 +1,9 @@
 /**
  * Defines the Note runtime entity (a single falling instance) and its prototype methods.
  *
- * References a NoteType for sprite data and gameplay strategy (onCatch),
+ * References a NoteType for sprite data, hitbox and gameplay strategy (onCatch),
  * keeping this object focused on movement, rendering, and collision detection.
+ * Movement itself is delegated to a behaviour (see Movement.js).
  */
 
 /**
@@ -14,8 +15,13 @@
  * @param {number} noteW - Render width of the note sprite.
  * @param {number} noteH - Render height of the note sprite.
  * @param {number} difficultyLevel - Difficulty factor used to scale the vertical falling speed.
+ * @param {SeededRandom} rng - Gameplay generator owned by the Game instance.
+ * @param {Object} [placement] - Authored placement (spawn waves); random when omitted.
+ * @param {number} [placement.x] - Horizontal spawn position.
+ * @param {number} [placement.speed] - Position in the falling speed range, from 0 to 1.
+ * @param {Object} [placement.movement] - Compiled movement overriding the note type's one.
  */
-function Note(type, canvasWidth, noteW, noteH, difficultyLevel) {
+function Note(type, canvasWidth, noteW, noteH, difficultyLevel, rng, placement = {}) {
     this.type = type;
 
     // Stores dimensions used for rendering and collision checks.
@@ -23,11 +29,26 @@ function Note(type, canvasWidth, noteW, noteH, difficultyLevel) {
     this.h = noteH;
 
     // Computes the spawn position: random X, starting just above the visible canvas.
-    this.x = Math.random() * (canvasWidth - this.w);
+    this.x = placement.x ?? rng.next() * (canvasWidth - this.w);
     this.y = -this.h;
 
-    // Computes vertical speed based on difficulty, with a small random variance.
-    this.dy = 2 + (difficultyLevel / 10) + Math.random() * difficultyLevel;
+    // Computes vertical speed (px/s) based on difficulty, with a small random variance.
+    this.dy = noteFallSpeed(difficultyLevel, placement.speed ?? rng.next());
+
+    // Selects the movement behaviour and creates its per-note state.
+    this.movement = placement.movement ?? type.movement;
+    this.motion = NOTE_MOVEMENTS[this.movement.type].init(this, this.movement.params, rng);
+}
+
+/**
+ * Returns the falling speed of a note.
+ *
+ * @param {number} difficultyLevel - Difficulty factor scaling the speed
+ * @param {number} roll - Position in the speed range at this level, from 0 to 1
+ * @returns {number} Vertical speed in px/s
+ */
+function noteFallSpeed(difficultyLevel, roll) {
+    return 120 + 6 * difficultyLevel + roll * 60 * difficultyLevel;
 }
 
 /**
@@ -36,11 +57,16 @@ function Note(type, canvasWidth, noteW, noteH, difficultyLevel) {
  */
 const notePrototype = {
     /**
-     * Updates the note position for the current frame.
-     * Advances the note downward using its precomputed vertical speed.
+     * Updates the note position for one simulation step.
+     * Delegates to the movement behaviour, on a time step scaled by slow-motion.
+     *
+     * @param {number} dt - Simulated time step in seconds
+     * @param {number} speedScale - Factor applied to the note motion (1, or less in slow-motion)
+     * @param {{width: number, height: number, targetX: number}} field - Playfield dimensions
+     *        and horizontal center of the player (homing target)
      */
-    update() {
-        this.y += this.dy;
+    update(dt, speedScale, field) {
+        NOTE_MOVEMENTS[this.movement.type].update(this, dt * speedScale, this.movement.params, this.motion, field);
     },
 
     /**
@@ -63,21 +89,22 @@ const notePrototype = {
     },
 
     /**
-     * Performs an axis-aligned bounding box (AABB) collision test against a rectangle.
+     * Places the hitbox of the note type on the current note position.
+     *
+     * @returns {Object[]} Shapes in canvas coordinates (see placeHitbox)
+     */
+    getHitbox() {
+        return placeHitbox(this.type.hitbox, this.x, this.y, this.w, this.h);
+    },
+
+    /**
+     * Performs a collision test against another placed hitbox (the player's).
      *
-     * @param {number} rx - Rectangle X position
-     * @param {number} ry - Rectangle Y position
-     * @param {number} rw - Rectangle width
-     * @param {number} rh - Rectangle height
-     * @returns {boolean} True when the note intersects the given rectangle
+     * @param {Object[]} shapes - Placed shapes (see placeHitbox)
+     * @returns {boolean} True when the note intersects the given shapes
      */
-    collidesWithRect(rx, ry, rw, rh) {
-        return (
-            this.x < rx + rw &&
-            this.x + this.w > rx &&
-            this.y < ry + rh &&
-            this.y + this.h > ry
-        );
+    collidesWith(shapes) {
+        return hitboxesOverlap(this.getHitbox(), shapes);
     }
 };
 
@@ -1,11 +1,18 @@
 /**
- * Defines the NoteType abstraction and the factory-based registry used by the game.
+ * Defines the NoteType abstraction and the factory helper building note types.
  *
  * A NoteType holds immutable, shared data for all notes of that type:
- *  - weighted spawn probability
+ *  - weighted spawn probability, possibly varying with the difficulty level
  *  - score and life impact values
+ *  - grade points on the 20-point scale, for grades, and the credits weighting them in
+ *    grade averages
  *  - preloaded sprite image
  *  - onCatch strategy executed when the note is collected
+ *  - movement behaviour of its notes (see Movement.js)
+ *  - collision shapes of its notes (see Hitbox.js)
+ *
+ * Besides grades, note types include power-up notes granting timed effects
+ * (see Effects.js): they award no score and only act through their onCatch strategy.
  */
 
 /**
@@ -14,132 +21,114 @@
  * @constructor
  * @param {string} name - Human-readable identifier (e.g. "A", "Fx")
  * @param {string} src - Sprite image URL
- * @param {number} weight - Relative spawn probability weight used for weighted selection
+ * @param {number|Function|Array<Array<number>>} weight - Relative spawn probability weight used for
+ *        weighted selection: a constant, a function of the difficulty level, or keyframes
+ *        ([[level, weight], ...], see compileWeightCurve)
  * @param {number} scoreValue - Points awarded when the note is collected
  * @param {number} lifeDelta - Life variation applied on collection (supports fractional values)
  * @param {(game: any, type: NoteType) => void} onCatch - Strategy executed when the note is collected
+ * @param {Object|string} [movement] - Movement declaration (see compileMovement); straight fall by default
+ * @param {number|null} [gradePoints] - Value of the grade on the 20-point scale, or null when
+ *        the note is not a grade (power-ups, ...)
+ * @param {Object|Object[]} [hitbox] - Hitbox declaration (see compileHitbox); the whole sprite by default
+ * @param {number} [credits] - Weight of the grade in grade averages
  */
-function NoteType(name, src, weight, scoreValue, lifeDelta, onCatch) {
+function NoteType(name, src, weight, scoreValue, lifeDelta, onCatch, movement, gradePoints = null, hitbox, credits = 1) {
     this.name = name;
     this.src = src;
-    this.weight = weight;
+
+    // Resolves the weight declaration once into a function of the difficulty level.
+    this.weightAt = compileWeightCurve(weight);
     this.score = scoreValue;
     this.lifeDelta = lifeDelta;
+    this.gradePoints = gradePoints;
+    this.credits = credits;
 
     // Stores the strategy executed on collection to avoid type-specific branching in Game.
     this.onCatch = onCatch;
 
+    // Resolves the movement declaration once for every note of this type.
+    this.movement = compileMovement(movement);
+
+    // Resolves the hitbox declaration once for every note of this type.
+    this.hitbox = compileHitbox(hitbox);
+
     // Preloads the sprite once per type to avoid runtime image creation.
     this.image = new Image();
     this.image.src = src;
 }
 
 /**
- * Factory helper used to instantiate a NoteType from a configuration object.
+ * Compiles a weight declaration into a function of the difficulty level.
  *
- * @param {Object} cfg - Plain configuration object describing a note type
- * @returns {NoteType} Instantiated NoteType
+ * Accepted declarations:
+ *  - a number: constant weight;
+ *  - a function (level) => weight;
+ *  - keyframes [[level, weight], ...] in ascending level order: the weight is linearly
+ *    interpolated between keyframes and held constant before the first and after the last.
+ *
+ * Returned weights are never negative.
+ *
+ * @param {number|Function|Array<Array<number>>} weight - Weight declaration
+ * @returns {(level: number) => number} Weight for a difficulty level
+ * @throws {Error} When the declaration is malformed
  */
-function makeNoteType(cfg) {
-    return new NoteType(cfg.name, cfg.src, cfg.weight, cfg.score, cfg.lifeDelta, cfg.onCatch);
+function compileWeightCurve(weight) {
+    if (typeof weight === "number") {
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw new Error("Invalid weight: must be a non-negative number.");
+        }
+        return () => weight;
+    }
+
+    if (typeof weight === "function") {
+        return (level) => Math.max(0, weight(level) || 0);
+    }
+
+    if (!Array.isArray(weight) || weight.length === 0) {
+        throw new Error("Invalid weight: expected a number, a function, or keyframes.");
+    }
+
+    let previousLevel = -Infinity;
+    for (const frame of weight) {
+        const valid = Array.isArray(frame)
+            && frame.length === 2
+            && Number.isFinite(frame[0])
+            && Number.isFinite(frame[1])
+            && frame[0] > previousLevel
+            && frame[1] >= 0;
+
+        if (!valid) {
+            throw new Error("Invalid weight: keyframes must be [level, weight] pairs with increasing levels.");
+        }
+        previousLevel = frame[0];
+    }
+
+    const frames = weight.map((frame) => frame.slice());
+
+    return (level) => {
+        if (level <= frames[0][0]) return frames[0][1];
+
+        for (let i = 1; i < frames.length; i++) {
+            const [toLevel, toWeight] = frames[i];
+
+            if (level <= toLevel) {
+                const [fromLevel, fromWeight] = frames[i - 1];
+                const t = (level - fromLevel) / (toLevel - fromLevel);
+                return fromWeight + (toWeight - fromWeight) * t;
+            }
+        }
+
+        return frames[frames.length - 1][1];
+    };
 }
 
 /**
- * Builds and returns the NoteType registry.
- * Each entry defines its own onCatch behavior, encapsulating gameplay effects.
+ * Factory helper used to instantiate a NoteType from a configuration object.
  *
- * @returns {NoteType[]} Array of all available note types
+ * @param {Object} cfg - Plain configuration object describing a note type
+ * @returns {NoteType} Instantiated NoteType
  */
-function buildNoteTypes() {
-    return [
-        makeNoteType({
-            name: "A",
-            src: "./assets/images/A.png",
-            weight: 5 / 100,
-            score: 100,
-            lifeDelta: 0.25,
-            onCatch(game, type) {
-                // High-value note: rewards score and slightly restores life.
-                game.addScore(type.score);
-                game.addLives(type.lifeDelta);
-                game.playSfx("goodA");
-            }
-        }),
-        makeNoteType({
-            name: "B",
-            src: "./assets/images/B.png",
-            weight: 10 / 100,
-            score: 50,
-            lifeDelta: 0,
-            onCatch(game, type) {
-                // Standard positive note: awards score only.
-                game.addScore(type.score);
-                game.playSfx("good");
-            }
-        }),
-        makeNoteType({
-            name: "C",
-            src: "./assets/images/C.png",
-            weight: 15 / 100,
-            score: 30,
-            lifeDelta: 0,
-            onCatch(game, type) {
-                // Standard positive note: awards score only.
-                game.addScore(type.score);
-                game.playSfx("good");
-            }
-        }),
-        makeNoteType({
-            name: "D",
-            src: "./assets/images/D.png",
-            weight: 15 / 100,
-            score: 20,
-            lifeDelta: 0,
-            onCatch(game, type) {
-                // Low-value positive note: awards a small score increment.
-                game.addScore(type.score);
-                game.playSfx("good");
-            }
-        }),
-        makeNoteType({
-            name: "E",
-            src: "./assets/images/E.png",
-            weight: 15 / 100,
-            score: 10,
-            lifeDelta: 0,
-            onCatch(game, type) {
-                // Minimal-value positive note: awards a small score increment.
-                game.addScore(type.score);
-                game.playSfx("good");
-            }
-        }),
-        makeNoteType({
-            name: "Fx",
-            src: "./assets/images/Fx.png",
-            weight: 25 / 100,
-            score: 0,
-            lifeDelta: -0.5,
-            onCatch(game, type) {
-                // Damage note: applies life loss, triggers feedback, and checks for game over.
-                game.addLives(type.lifeDelta);
-                game.notifyDamage();
-                game.playSfx("bad");
-                game.checkGameOver();
-            }
-        }),
-        makeNoteType({
-            name: "F",
-            src: "./assets/images/F.png",
-            weight: 15 / 100,
-            score: 0,
-            lifeDelta: -1,
-            onCatch(game, type) {
-                // Heavy damage note: applies a stronger life loss using the same damage pipeline.
-                game.addLives(type.lifeDelta);
-                game.notifyDamage();
-                game.playSfx("bad");
-                game.checkGameOver();
-            }
-        })
-    ];
+function makeNoteType(cfg) {
+    return new NoteType(cfg.name, cfg.src, cfg.weight, cfg.score, cfg.lifeDelta, cfg.onCatch, cfg.movement, cfg.gradePoints, cfg.hitbox, cfg.credits);
 }
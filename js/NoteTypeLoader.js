@@ -0,0 +1,438 @@
+/**
+ * Loads note type definitions from a JSON file and compiles them into NoteType instances.
+ *
+ * Lets note types be rebalanced or added without touching JavaScript: each definition
+ * lists declarative effects that are compiled into the onCatch strategy. When the file
+ * cannot be loaded or is invalid, the built-in DEFAULT_NOTE_TYPES are used instead,
+ * compiled the same way (see buildNoteTypes).
+ *
+ * File layout (JSON):
+ *  {
+ *    version: 1,
+ *    noteTypes: [
+ *      {
+ *        name, src, weight, score, lifeDelta, movement?, hitbox?, gradePoints?, credits?,
+ *        effects: [{ type: "addScore" }, { type: "playSfx", sound: "good" }, ...]
+ *      }
+ *    ]
+ *  }
+ *
+ * Available effects (run in order on catch):
+ *  - { type: "addScore", amount? }            adds points (defaults to the note score)
+ *  - { type: "addLives", amount? }            adds lives (defaults to the note lifeDelta)
+ *  - { type: "playSfx", sound }               plays a sound ("goodA", "good", "bad", "gameOver")
+ *  - { type: "damage", amount?, sound?, absorbedSound? }
+ *        loses lives (defaults to lifeDelta) with damage feedback and a game-over check;
+ *        an active shield absorbs the hit instead, which also skips the remaining effects
+ *  - { type: "grantPowerUp", effect, duration? } activates a timed effect (see EFFECT_DEFINITIONS)
+ *
+ * "weight" is either a number or keyframes [[level, weight], ...] interpolated over the
+ * difficulty level (see compileWeightCurve). "movement" optionally selects how notes of the
+ * type move, e.g. { type: "sine", amplitude: 40 } (see NOTE_MOVEMENTS); they fall straight
+ * otherwise.
+ * "hitbox" optionally sets the collision shapes of the notes, e.g. { type: "rect", inset: 0.1 }
+ * or a list of shapes (see HITBOX_SHAPES); the whole sprite collides otherwise.
+ * "gradePoints" gives grades their value on the 20-point scale; other notes omit it.
+ * "credits" weighs a grade in grade averages (1 by default).
+ */
+
+/**
+ * Default location of the note type definitions and the file layout version.
+ */
+const NOTE_TYPES_URL = "./data/note-types.json";
+const NOTE_TYPES_VERSION = 1;
+
+/**
+ * Built-in note types (mirrors data/note-types.json).
+ */
+const DEFAULT_NOTE_TYPES = {
+    version: 1,
+    noteTypes: [
+        {
+            name: "A",
+            src: "./assets/images/A.png",
+            // Top grades get rarer as the semester progresses.
+            weight: [[1, 0.05], [15, 0.02]],
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 100,
+            gradePoints: 18,
+            lifeDelta: 0.25,
+            effects: [
+                { type: "addScore" },
+                { type: "addLives" },
+                { type: "playSfx", sound: "goodA" }
+            ]
+        },
+        {
+            name: "B",
+            src: "./assets/images/B.png",
+            weight: [[1, 0.10], [15, 0.07]],
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 50,
+            gradePoints: 15,
+            lifeDelta: 0,
+            effects: [
+                { type: "addScore" },
+                { type: "playSfx", sound: "good" }
+            ]
+        },
+        {
+            name: "C",
+            src: "./assets/images/C.png",
+            weight: 0.15,
+            movement: { type: "sine", amplitude: 50, frequency: 0.6 },
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 30,
+            gradePoints: 13,
+            lifeDelta: 0,
+            effects: [
+                { type: "addScore" },
+                { type: "playSfx", sound: "good" }
+            ]
+        },
+        {
+            name: "D",
+            src: "./assets/images/D.png",
+            weight: 0.15,
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 20,
+            gradePoints: 11,
+            lifeDelta: 0,
+            effects: [
+                { type: "addScore" },
+                { type: "playSfx", sound: "good" }
+            ]
+        },
+        {
+            name: "E",
+            src: "./assets/images/E.png",
+            weight: 0.15,
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 10,
+            gradePoints: 10,
+            lifeDelta: 0,
+            effects: [
+                { type: "addScore" },
+                { type: "playSfx", sound: "good" }
+            ]
+        },
+        {
+            name: "Fx",
+            src: "./assets/images/Fx.png",
+            // Failing grades get more common as the semester progresses.
+            weight: [[1, 0.25], [15, 0.35]],
+            movement: { type: "accelerate", startFactor: 0.4, acceleration: 300 },
+            // The "F" and the lowered "x" only: the empty corner above the "x" never catches.
+            hitbox: [
+                { type: "rect", inset: [0.02, 0.45, 0.02, 0.02] },
+                { type: "rect", inset: [0.4, 0.02, 0.05, 0.48] }
+            ],
+            score: 0,
+            gradePoints: 7,
+            // Failed grades weigh double in the average.
+            credits: 2,
+            lifeDelta: -0.5,
+            effects: [
+                { type: "damage" }
+            ]
+        },
+        {
+            name: "F",
+            src: "./assets/images/F.png",
+            weight: [[1, 0.15], [15, 0.22]],
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 0,
+            gradePoints: 3,
+            credits: 2,
+            lifeDelta: -1,
+            effects: [
+                { type: "damage" }
+            ]
+        },
+        {
+            name: "Rattrapage",
+            src: "./assets/images/R.png",
+            // The resit only starts chasing students a few levels in.
+            weight: [[3, 0], [4, 0.02], [15, 0.04]],
+            movement: { type: "homing", speed: 150, until: 0.7 },
+            hitbox: { type: "rect", inset: 0.1 },
+            score: 0,
+            lifeDelta: -1,
+            effects: [
+                { type: "damage" }
+            ]
+        },
+        {
+            name: "Shield",
+            src: "./assets/images/powerup-shield.png",
+            weight: 0.015,
+            hitbox: { type: "circle", radius: 0.45 },
+            score: 0,
+            lifeDelta: 0,
+            effects: [
+                { type: "grantPowerUp", effect: "shield" },
+                { type: "playSfx", sound: "goodA" }
+            ]
+        },
+        {
+            name: "Magnet",
+            src: "./assets/images/powerup-magnet.png",
+            weight: 0.015,
+            movement: { type: "bounce", speed: 180 },
+            hitbox: { type: "circle", radius: 0.45 },
+            score: 0,
+            lifeDelta: 0,
+            effects: [
+                { type: "grantPowerUp", effect: "magnet" },
+                { type: "playSfx", sound: "goodA" }
+            ]
+        },
+        {
+            name: "SlowMo",
+            src: "./assets/images/powerup-slowmo.png",
+            weight: 0.01,
+            movement: { type: "hover", at: 0.3, duration: 0.8 },
+            hitbox: { type: "circle", radius: 0.45 },
+            score: 0,
+            lifeDelta: 0,
+            effects: [
+                { type: "grantPowerUp", effect: "slowmo" },
+                { type: "playSfx", sound: "goodA" }
+            ]
+        },
+        {
+            name: "Double",
+            src: "./assets/images/powerup-double.png",
+            weight: 0.01,
+            hitbox: { type: "circle", radius: 0.45 },
+            score: 0,
+            lifeDelta: 0,
+            effects: [
+                { type: "grantPowerUp", effect: "double" },
+                { type: "playSfx", sound: "goodA" }
+            ]
+        }
+    ]
+};
+
+/**
+ * Sound keys note effects may play (keys of the Game sfx map).
+ */
+const NOTE_EFFECT_SOUNDS = ["goodA", "good", "bad", "gameOver"];
+
+/**
+ * Declarative effect registry.
+ * Each entry validates the parameters of an effect (returning an error message, or null
+ * when valid) and compiles it into a step run on catch. A step returning false stops
+ * the remaining steps of the strategy.
+ */
+const NOTE_EFFECTS = {
+    addScore: {
+        validate: (effect) => optionalNumber(effect, "amount"),
+        compile: (effect) => (game, type) => {
+            game.addScore(effect.amount ?? type.score);
+        }
+    },
+    addLives: {
+        validate: (effect) => optionalNumber(effect, "amount"),
+        compile: (effect) => (game, type) => {
+            game.addLives(effect.amount ?? type.lifeDelta);
+        }
+    },
+    playSfx: {
+        validate: (effect) => NOTE_EFFECT_SOUNDS.includes(effect.sound)
+            ? null
+            : `"sound" must be one of ${NOTE_EFFECT_SOUNDS.join(", ")}`,
+        compile: (effect) => (game) => {
+            game.playSfx(effect.sound);
+        }
+    },
+    damage: {
+        validate: (effect) => optionalNumber(effect, "amount")
+            ?? optionalSound(effect, "sound")
+            ?? optionalSound(effect, "absorbedSound"),
+        compile: (effect) => (game, type) => {
+            // An active shield absorbs the hit instead.
+            if (game.absorbDamage()) {
+                game.playSfx(effect.absorbedSound ?? "good");
+                return false;
+            }
+
+            game.addLives(effect.amount ?? type.lifeDelta);
+            game.notifyDamage();
+            game.playSfx(effect.sound ?? "bad");
+            game.checkGameOver();
+        }
+    },
+    grantPowerUp: {
+        validate: (effect) => {
+            if (!Object.prototype.hasOwnProperty.call(EFFECT_DEFINITIONS, effect.effect)) {
+                return `"effect" must be one of ${Object.keys(EFFECT_DEFINITIONS).join(", ")}`;
+            }
+            if (effect.duration !== undefined && !(Number.isFinite(effect.duration) && effect.duration > 0)) {
+                return `"duration" must be a positive number`;
+            }
+            return null;
+        },
+        compile: (effect) => (game) => {
+            game.grantPowerUp(effect.effect, effect.duration);
+        }
+    }
+};
+
+/**
+ * Checks an optional numeric effect parameter.
+ *
+ * @param {Object} effect - Effect definition
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function optionalNumber(effect, key) {
+    return (effect[key] === undefined || Number.isFinite(effect[key])) ? null : `"${key}" must be a number`;
+}
+
+/**
+ * Checks an optional sound effect parameter.
+ *
+ * @param {Object} effect - Effect definition
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function optionalSound(effect, key) {
+    return (effect[key] === undefined || NOTE_EFFECT_SOUNDS.includes(effect[key]))
+        ? null
+        : `"${key}" must be one of ${NOTE_EFFECT_SOUNDS.join(", ")}`;
+}
+
+/**
+ * Validates note type definitions and compiles them into NoteType instances.
+ *
+ * @param {Object} data - Parsed definitions file
+ * @returns {NoteType[]} Compiled note types, in file order
+ * @throws {Error} When the definitions are invalid (the message names the culprit)
+ */
+function compileNoteTypes(data) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.noteTypes)) {
+        throw new Error(`Invalid note types: missing "noteTypes" list.`);
+    }
+    if (data.version !== NOTE_TYPES_VERSION) {
+        throw new Error(`Invalid note types: unsupported version ${data.version}.`);
+    }
+    if (data.noteTypes.length === 0) {
+        throw new Error("Invalid note types: the list is empty.");
+    }
+
+    const names = new Set();
+
+    const noteTypes = data.noteTypes.map((def, i) => {
+        const where = `note type #${i + 1}`;
+
+        if (!def || typeof def.name !== "string" || def.name.trim() === "") {
+            throw new Error(`Invalid note types: ${where} needs a "name".`);
+        }
+        if (names.has(def.name)) {
+            throw new Error(`Invalid note types: duplicate name "${def.name}".`);
+        }
+        names.add(def.name);
+
+        if (typeof def.src !== "string" || def.src === "") {
+            throw new Error(`Invalid note types: "${def.name}" needs a sprite "src".`);
+        }
+        for (const key of ["score", "lifeDelta"]) {
+            if (!Number.isFinite(def[key])) {
+                throw new Error(`Invalid note types: "${def.name}" needs a numeric "${key}".`);
+            }
+        }
+        if (def.gradePoints !== undefined && def.gradePoints !== null
+            && !(Number.isFinite(def.gradePoints) && def.gradePoints >= 0 && def.gradePoints <= 20)) {
+            throw new Error(`Invalid note types: "${def.name}" needs "gradePoints" between 0 and 20.`);
+        }
+        if (def.credits !== undefined && !(Number.isFinite(def.credits) && def.credits > 0)) {
+            throw new Error(`Invalid note types: "${def.name}" needs positive "credits".`);
+        }
+        if (typeof def.weight !== "number" && !Array.isArray(def.weight)) {
+            throw new Error(`Invalid note types: "${def.name}" needs a numeric "weight" or weight keyframes.`);
+        }
+        try {
+            compileWeightCurve(def.weight);
+            compileMovement(def.movement);
+            compileHitbox(def.hitbox);
+        } catch (e) {
+            throw new Error(`Invalid note types: "${def.name}": ${e.message}`);
+        }
+        if (!Array.isArray(def.effects) || def.effects.length === 0) {
+            throw new Error(`Invalid note types: "${def.name}" needs a non-empty "effects" list.`);
+        }
+
+        const steps = def.effects.map((effect, j) => {
+            const handler = effect && NOTE_EFFECTS[effect.type];
+
+            if (!handler) {
+                throw new Error(`Invalid note types: "${def.name}" effect #${j + 1} has unknown type "${effect?.type}".`);
+            }
+
+            const error = handler.validate(effect);
+            if (error !== null) {
+                throw new Error(`Invalid note types: "${def.name}" effect #${j + 1} (${effect.type}): ${error}.`);
+            }
+
+            return handler.compile(effect);
+        });
+
+        return makeNoteType({
+            name: def.name,
+            src: def.src,
+            weight: def.weight,
+            movement: def.movement,
+            hitbox: def.hitbox,
+            gradePoints: def.gradePoints ?? null,
+            credits: def.credits ?? 1,
+            score: def.score,
+            lifeDelta: def.lifeDelta,
+            onCatch(game, type) {
+                for (const step of steps) {
+                    if (step(game, type) === false) break;
+                }
+            }
+        });
+    });
+
+    if (noteTypes.every((type) => type.weightAt(1) === 0)) {
+        throw new Error("Invalid note types: at least one weight must be positive at difficulty level 1.");
+    }
+
+    return noteTypes;
+}
+
+/**
+ * Builds the built-in note types.
+ * Used until data/note-types.json is loaded, and when it cannot be.
+ *
+ * @returns {NoteType[]} Compiled DEFAULT_NOTE_TYPES
+ */
+function buildNoteTypes() {
+    return compileNoteTypes(DEFAULT_NOTE_TYPES);
+}
+
+/**
+ * Loads note types from a definitions file, falling back to the built-in registry.
+ * Never rejects: a missing file (e.g. when the game is opened from the file system)
+ * or an invalid one is reported in the console and replaced by buildNoteTypes().
+ *
+ * @param {string} [url] - Definitions file location
+ * @returns {Promise<NoteType[]>} Note types to play with
+ */
+async function loadNoteTypes(url = NOTE_TYPES_URL) {
+    try {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (HTTP ${response.status}).`);
+        }
+
+        return compileNoteTypes(await response.json());
+    } catch (e) {
+        console.warn(`${e.message} Using the built-in note types.`);
+        return buildNoteTypes();
+    }
+}
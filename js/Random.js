@@ -0,0 +1,101 @@
+/**
+ * Defines the SeededRandom object: a small deterministic pseudo-random number generator.
+ *
+ * Each Game instance owns its own generator so that a given seed, combined with the
+ * same inputs, always reproduces the same sequence of notes. Relies on the mulberry32
+ * algorithm, which is fast, has a 32-bit state, and is good enough for gameplay.
+ *
+ * Gameplay randomness (spawning, note types, positions, speeds) must go through this
+ * object; purely cosmetic effects (screen shake, flashes) may keep using Math.random().
+ */
+
+/**
+ * SeededRandom constructor.
+ *
+ * @constructor
+ * @param {number} seed - Unsigned 32-bit seed; other numbers are coerced
+ */
+function SeededRandom(seed) {
+    this.setSeed(seed);
+}
+
+/**
+ * Groups SeededRandom prototype methods.
+ */
+const seededRandomPrototype = {
+    /**
+     * Resets the generator to the beginning of the sequence for a given seed.
+     *
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    },
+
+    /**
+     * Returns the next value of the sequence (mulberry32).
+     *
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Returns a float uniformly distributed in [min, max).
+     *
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    },
+
+    /**
+     * Returns an integer uniformly distributed in [0, maxExclusive).
+     *
+     * @param {number} maxExclusive - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+};
+
+// Assigns the grouped methods to the SeededRandom prototype.
+Object.assign(SeededRandom.prototype, seededRandomPrototype);
+
+/**
+ * Draws a fresh seed for a new run.
+ * Uses Math.random() on purpose: only the seed itself is non-deterministic.
+ *
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Derives a seed from a text (FNV-1a hash), so the same text always yields the same run.
+ *
+ * @param {string} text - Text identifying the run (e.g. a date)
+ * @returns {number} Unsigned 32-bit seed
+ */
+function seedFromText(text) {
+    let hash = 0x811C9DC5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
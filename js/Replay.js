@@ -0,0 +1,275 @@
+/**
+ * Defines run recording and playback.
+ *
+ * A replay is the seed of a run plus the stream of movement input changes,
+ * each stamped with the simulation tick at which it took effect. Because the
+ * simulation is fixed-step and every gameplay random draw comes from the seeded
+ * generator, feeding the same inputs at the same ticks reproduces the run exactly.
+ *
+ * Replay file layout (JSON):
+ *  {
+ *    format: "grade-rain-replay", version: 8,
+ *    seed, user, name, score, ticks, fixedStep, canvasWidth, canvasHeight, recordedAt,
+ *    rules,                 // id of the run rules (see Rules.js), null for an endless run
+ *    character,             // id of the character played (see CHARACTER_TUNINGS in Game.js)
+ *    events: [{ tick, left, right, axis, target, dash }, ...]
+ *  }
+ *
+ * "axis" is the gamepad stick tilt in [-1, 1], "target" the canvas X followed in the
+ * pointer follow scheme (null when none), and "dash" whether the dash input is held.
+ */
+
+/**
+ * Identifies replay files and the layout version they follow.
+ * The version is bumped whenever the simulation changes in a way that makes older
+ * recordings diverge (version 2: power-up notes joined the spawn table; version 3: spawn
+ * weights vary with difficulty; version 4: authored spawn waves;
+ * version 5: note movement behaviours; version 6: player movement physics and dash;
+ * version 7: player and note hitboxes; version 8: selectable characters).
+ */
+const REPLAY_FORMAT = "grade-rain-replay";
+const REPLAY_VERSION = 8;
+
+/**
+ * Canvas sizes a run can be recorded on (see showGame): one player, then each of the two
+ * players. Playback resizes the canvas to the recorded size, so no other size is accepted.
+ */
+const REPLAY_CANVAS_SIZES = [
+    { width: 1000, height: 800 },
+    { width: 900, height: 800 }
+];
+
+/**
+ * ReplayRecorder constructor.
+ * Collects input changes for a single run.
+ *
+ * @constructor
+ * @param {Object} meta - Run context stored alongside the inputs
+ * @param {number} meta.seed - Seed the run was started with
+ * @param {string} meta.user - Logical player identifier (e.g. "Player 1")
+ * @param {number} meta.fixedStep - Simulation step in seconds
+ * @param {number} meta.canvasWidth - Canvas width the run was played on
+ * @param {number} meta.canvasHeight - Canvas height the run was played on
+ * @param {string|null} [meta.rules] - Id of the run rules, null for an endless run
+ * @param {string} meta.character - Id of the character played (see CHARACTER_TUNINGS)
+ */
+function ReplayRecorder(meta) {
+    this.meta = meta;
+    this.events = [];
+
+    // Last committed input state; recording only stores changes.
+    this.left = false;
+    this.right = false;
+    this.axis = 0;
+    this.target = null;
+    this.dash = false;
+}
+
+/**
+ * Groups ReplayRecorder prototype methods.
+ */
+const replayRecorderPrototype = {
+    /**
+     * Samples the input state at the start of a simulation tick.
+     * Stores an event only when the state differs from the previous sample.
+     *
+     * @param {number} tick - Index of the simulation tick about to run
+     * @param {Object} input - Movement input of the tick
+     * @param {boolean} input.left - Whether left movement is requested
+     * @param {boolean} input.right - Whether right movement is requested
+     * @param {number} input.axis - Gamepad stick tilt in [-1, 1]
+     * @param {number|null} input.target - Canvas X followed by the student, or null
+     * @param {boolean} input.dash - Whether the dash input is held
+     */
+    sample(tick, { left, right, axis, target, dash }) {
+        if (left === this.left && right === this.right && axis === this.axis
+            && target === this.target && dash === this.dash) return;
+
+        this.left = left;
+        this.right = right;
+        this.axis = axis;
+        this.target = target;
+        this.dash = dash;
+        this.events.push({ tick, left, right, axis, target, dash });
+    },
+
+    /**
+     * Seals the recording into a serializable replay object.
+     *
+     * @param {number} ticks - Total number of simulated ticks
+     * @param {string} name - Display name of the player
+     * @param {number} score - Final score of the run
+     * @returns {Object} Replay object
+     */
+    finish(ticks, name, score) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.meta.seed,
+            user: this.meta.user,
+            name,
+            score,
+            ticks,
+            fixedStep: this.meta.fixedStep,
+            canvasWidth: this.meta.canvasWidth,
+            canvasHeight: this.meta.canvasHeight,
+            recordedAt: new Date().toISOString(),
+            rules: this.meta.rules ?? null,
+            character: this.meta.character,
+            events: this.events.slice()
+        };
+    }
+};
+
+// Assigns the grouped methods to the ReplayRecorder prototype.
+Object.assign(ReplayRecorder.prototype, replayRecorderPrototype);
+
+/**
+ * ReplayPlayer constructor.
+ * Feeds a recorded input stream back, tick by tick.
+ *
+ * @constructor
+ * @param {Object} replay - Validated replay object
+ */
+function ReplayPlayer(replay) {
+    this.replay = replay;
+    this.cursor = 0;
+    this.left = false;
+    this.right = false;
+    this.axis = 0;
+    this.target = null;
+    this.dash = false;
+}
+
+/**
+ * Groups ReplayPlayer prototype methods.
+ */
+const replayPlayerPrototype = {
+    /**
+     * Returns the input state in effect for a given tick.
+     * Ticks must be queried in increasing order.
+     *
+     * @param {number} tick - Index of the simulation tick about to run
+     * @returns {{left: boolean, right: boolean, axis: number, target: number|null, dash: boolean}} Input state
+     */
+    inputAt(tick) {
+        const events = this.replay.events;
+
+        while (this.cursor < events.length && events[this.cursor].tick <= tick) {
+            this.left = events[this.cursor].left;
+            this.right = events[this.cursor].right;
+            this.axis = events[this.cursor].axis;
+            this.target = events[this.cursor].target;
+            this.dash = events[this.cursor].dash;
+            this.cursor++;
+        }
+
+        return { left: this.left, right: this.right, axis: this.axis, target: this.target, dash: this.dash };
+    },
+
+    /**
+     * Tells whether the recorded duration has been fully played.
+     *
+     * @param {number} tick - Index of the current simulation tick
+     * @returns {boolean} True once the tick exceeds the recorded length
+     */
+    isExhausted(tick) {
+        return tick > this.replay.ticks;
+    }
+};
+
+// Assigns the grouped methods to the ReplayPlayer prototype.
+Object.assign(ReplayPlayer.prototype, replayPlayerPrototype);
+
+/**
+ * Serializes a replay to JSON text for export.
+ *
+ * @param {Object} replay - Replay object
+ * @returns {string} JSON text
+ */
+function serializeReplay(replay) {
+    return JSON.stringify(replay, null, 2);
+}
+
+/**
+ * Parses and validates replay JSON text.
+ *
+ * @param {string} text - JSON text read from a replay file
+ * @returns {Object} Validated replay object
+ * @throws {Error} When the text is not a valid replay
+ */
+function parseReplay(text) {
+    let replay;
+
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error("Invalid replay: the file is not valid JSON.");
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error("Invalid replay: unknown file format.");
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Invalid replay: unsupported version ${replay.version}.`);
+    }
+
+    const numericFields = ["seed", "score", "fixedStep"];
+    for (const field of numericFields) {
+        if (!Number.isFinite(replay[field])) {
+            throw new Error(`Invalid replay: missing or invalid "${field}".`);
+        }
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+        throw new Error("Invalid replay: missing or invalid \"ticks\".");
+    }
+    if (!REPLAY_CANVAS_SIZES.some((size) => size.width === replay.canvasWidth && size.height === replay.canvasHeight)) {
+        throw new Error("Invalid replay: unsupported canvas size.");
+    }
+
+    if (!Array.isArray(replay.events)) {
+        throw new Error("Invalid replay: missing input events.");
+    }
+
+    // Requires events to be well-formed and ordered so playback can stream them.
+    let previousTick = -1;
+    for (const event of replay.events) {
+        const valid = event
+            && Number.isInteger(event.tick)
+            && event.tick >= previousTick
+            && typeof event.left === "boolean"
+            && typeof event.right === "boolean"
+            && Number.isFinite(event.axis) && Math.abs(event.axis) <= 1
+            && (event.target === null || Number.isFinite(event.target))
+            && typeof event.dash === "boolean";
+
+        if (!valid) {
+            throw new Error("Invalid replay: malformed input event.");
+        }
+
+        previousTick = event.tick;
+    }
+
+    replay.name = String(replay.name ?? replay.user ?? "REPLAY").substring(0, 12);
+
+    // Endless runs carry no rules; whether the id is known is checked before playback.
+    replay.rules = (typeof replay.rules === "string") ? replay.rules : null;
+
+    // Whether the character is known is checked before playback too.
+    if (typeof replay.character !== "string") {
+        throw new Error("Invalid replay: missing or invalid \"character\".");
+    }
+
+    return replay;
+}
+
+/**
+ * Builds a descriptive file name for an exported replay.
+ *
+ * @param {Object} replay - Replay object
+ * @returns {string} File name ending in .json
+ */
+function replayFileName(replay) {
+    const safeName = String(replay.name).replace(/[^a-z0-9_-]+/gi, "_");
+    return `grade-rain-replay-${safeName}-${replay.score}.json`;
+}
@@ -0,0 +1,308 @@
+/**
+ * Defines run rule sets: overrides of the endless game settings used by structured modes
+ * (timed exam sessions, campaign semesters, ...), and the objectives such a run may have to meet.
+ *
+ * A rule set only overrides what it declares; the engine keeps its own settings otherwise:
+ *  {
+ *    id,                                  // unique identifier, stored in replays
+ *    duration,                            // seconds before the run ends ("TIME UP")
+ *    startLevel, maxLevel,                // difficulty ramp bounds (note speed follows the level)
+ *    difficultyStepDuration,              // seconds per difficulty level
+ *    baseSpawnRate, spawnRatePerLevel,    // random spawning rate (notes/s)
+ *    weights: { noteTypeName: weight },   // spawn mix overrides (see compileWeightCurve)
+ *    waves: [patternId, ...] | false,     // allowed wave patterns (all by default, false for none)
+ *    objective: { type, ... },            // see RUN_OBJECTIVES
+ *    board                                // leaderboard suffix ranking these runs apart (e.g. "EXAM");
+ *                                         // runs under rules without one are not ranked
+ *  }
+ *
+ * Compiled rule sets are registered by id, so a recorded run can be replayed under the
+ * rules it was played with.
+ */
+
+/**
+ * Objective registry.
+ * Each entry validates an objective (returning an error message, or null when valid),
+ * describes it for menus, and creates the tracker following one run:
+ *  - onCatch(type): called for every caught note;
+ *  - progress(game): short HUD text;
+ *  - isMet(game): whether the objective is reached.
+ */
+const RUN_OBJECTIVES = {
+    // Average of caught grades on the 20-point scale (see NoteType gradePoints).
+    average: {
+        validate: (o) => (Number.isFinite(o.target) && o.target >= 0 && o.target <= 20 ? null : `"target" must be between 0 and 20`)
+            ?? optionalCount(o, "minCatches"),
+        describe: (o) => `Reach a ${o.target}/20 average over at least ${o.minCatches ?? 5} grades`,
+        create: (o) => ({
+            onCatch() {},
+            progress(game) {
+                const average = game.getGradeAverage();
+                return `AVG ${average === null ? "-" : average.toFixed(1)}/${o.target}`;
+            },
+            isMet(game) {
+                return game.gradeCount >= (o.minCatches ?? 5) && game.getGradeAverage() >= o.target;
+            }
+        })
+    },
+    // A number of catches of one grade; catching a forbidden note starts the count over.
+    catch: {
+        validate: (o) => (typeof o.grade === "string" && o.grade !== "" ? null : `"grade" must be a note type name`)
+            ?? optionalCount(o, "count")
+            ?? (o.forbidden === undefined || (Array.isArray(o.forbidden) && o.forbidden.every((n) => typeof n === "string"))
+                ? null
+                : `"forbidden" must be a list of note type names`),
+        describe: (o) => {
+            const forbidden = o.forbidden ?? [];
+            const count = o.count ?? 1;
+            const text = `Catch ${count} ${o.grade} grade${count > 1 ? "s" : ""}`;
+
+            return (forbidden.length > 0) ? `${text} without an ${forbidden.join(" or ")} in between` : text;
+        },
+        create: (o) => {
+            const forbidden = o.forbidden ?? [];
+            const count = o.count ?? 1;
+            let streak = 0;
+            let met = false;
+
+            return {
+                onCatch(type) {
+                    if (met) return;
+
+                    if (forbidden.includes(type.name)) {
+                        streak = 0;
+                    }
+                    else if (type.name === o.grade && ++streak >= count) {
+                        met = true;
+                    }
+                },
+                progress() {
+                    return `${o.grade} ${met ? count : streak}/${count}`;
+                },
+                isMet() {
+                    return met;
+                }
+            };
+        }
+    },
+    // A final score.
+    score: {
+        validate: (o) => (Number.isFinite(o.target) && o.target > 0 ? null : `"target" must be a positive number`),
+        describe: (o) => `Score ${o.target} points`,
+        create: (o) => ({
+            onCatch() {},
+            progress(game) {
+                return `SCORE ${game.score}/${o.target}`;
+            },
+            isMet(game) {
+                return game.score >= o.target;
+            }
+        })
+    },
+    // Staying alive until the time is up.
+    survive: {
+        validate: () => null,
+        describe: () => "Survive until the end",
+        create: () => ({
+            onCatch() {},
+            progress() {
+                return "SURVIVE";
+            },
+            isMet(game) {
+                return game.endReason === "time";
+            }
+        })
+    }
+};
+
+/**
+ * Registered rule sets, keyed by id (see registerRunRules).
+ */
+const RUN_RULES = {};
+
+/**
+ * Checks an optional positive integer objective parameter.
+ *
+ * @param {Object} objective - Objective declaration
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function optionalCount(objective, key) {
+    return (objective[key] === undefined || (Number.isInteger(objective[key]) && objective[key] > 0))
+        ? null
+        : `"${key}" must be a positive integer`;
+}
+
+/**
+ * Validates an objective declaration and compiles it.
+ *
+ * @param {Object} declaration - { type, ...params }
+ * @returns {{type: string, label: string, create: Function}} Compiled objective
+ * @throws {Error} When the declaration is invalid
+ */
+function compileObjective(declaration) {
+    const objective = declaration && RUN_OBJECTIVES[declaration.type];
+
+    if (!objective) {
+        throw new Error(`Invalid objective: unknown type "${declaration?.type}".`);
+    }
+
+    const error = objective.validate(declaration);
+    if (error !== null) {
+        throw new Error(`Invalid objective (${declaration.type}): ${error}.`);
+    }
+
+    return {
+        type: declaration.type,
+        label: objective.describe(declaration),
+        create: () => objective.create(declaration)
+    };
+}
+
+/**
+ * Validates a rule set declaration and compiles it into the shape read by Game.getRule.
+ * Undeclared settings stay undefined so the engine falls back to its own.
+ *
+ * @param {Object} def - Rule set declaration (see file header)
+ * @returns {Object} Compiled rule set
+ * @throws {Error} When the declaration is invalid
+ */
+function compileRunRules(def) {
+    if (!def || typeof def.id !== "string" || def.id === "") {
+        throw new Error(`Invalid rules: missing "id".`);
+    }
+
+    const fail = (message) => {
+        throw new Error(`Invalid rules "${def.id}": ${message}`);
+    };
+
+    const positive = (key) => {
+        if (def[key] !== undefined && !(Number.isFinite(def[key]) && def[key] > 0)) {
+            fail(`"${key}" must be a positive number.`);
+        }
+        return def[key];
+    };
+
+    const levels = (key) => {
+        if (def[key] !== undefined && !(Number.isInteger(def[key]) && def[key] >= 1)) {
+            fail(`"${key}" must be an integer difficulty level (1 or more).`);
+        }
+        return def[key];
+    };
+
+    const rules = {
+        id: def.id,
+        runDuration: positive("duration"),
+        startDifficultyLevel: levels("startLevel"),
+        maxDifficultyLevel: levels("maxLevel"),
+        difficultyStepDuration: positive("difficultyStepDuration"),
+        baseSpawnRate: positive("baseSpawnRate"),
+        spawnRatePerLevel: positive("spawnRatePerLevel"),
+        weights: {},
+        wavePatterns: undefined,
+        objective: null,
+        board: null
+    };
+
+    if (def.board !== undefined) {
+        if (typeof def.board !== "string" || !/^[A-Z0-9]{1,8}$/.test(def.board)) {
+            fail(`"board" must be 1 to 8 capital letters or digits.`);
+        }
+        rules.board = def.board;
+    }
+
+    if ((rules.maxDifficultyLevel ?? Infinity) < (rules.startDifficultyLevel ?? 1)) {
+        fail(`"maxLevel" must not be below "startLevel".`);
+    }
+
+    // Spawn mix overrides, compiled like note type weights.
+    for (const [name, weight] of Object.entries(def.weights ?? {})) {
+        try {
+            rules.weights[name] = compileWeightCurve(weight);
+        } catch (e) {
+            fail(`weight of "${name}": ${e.message}`);
+        }
+    }
+
+    // Restricts the wave library to the listed patterns (or disables waves).
+    if (def.waves === false) {
+        rules.wavePatterns = {};
+    }
+    else if (def.waves !== undefined) {
+        if (!Array.isArray(def.waves)) {
+            fail(`"waves" must be a list of pattern ids or false.`);
+        }
+
+        rules.wavePatterns = {};
+        for (const id of def.waves) {
+            if (!Object.prototype.hasOwnProperty.call(WAVE_PATTERNS, id)) {
+                fail(`unknown wave pattern "${id}".`);
+            }
+            rules.wavePatterns[id] = WAVE_PATTERNS[id];
+        }
+    }
+
+    if (def.objective !== undefined) {
+        try {
+            rules.objective = compileObjective(def.objective);
+        } catch (e) {
+            fail(e.message);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Compiles a rule set and registers it under its id (replacing a previous one).
+ *
+ * @param {Object} def - Rule set declaration
+ * @returns {Object} Compiled rule set
+ * @throws {Error} When the declaration is invalid
+ */
+function registerRunRules(def) {
+    const rules = compileRunRules(def);
+
+    RUN_RULES[rules.id] = rules;
+    return rules;
+}
+
+/**
+ * Looks a registered rule set up.
+ *
+ * @param {string} id - Rule set identifier
+ * @returns {Object} Compiled rule set
+ * @throws {Error} When no rule set has this id
+ */
+function getRunRules(id) {
+    if (!Object.prototype.hasOwnProperty.call(RUN_RULES, id)) {
+        throw new Error(`Unknown rules "${id}".`);
+    }
+
+    return RUN_RULES[id];
+}
+
+/**
+ * Timed "exam session": a 90-second run whose difficulty ramp is compressed to climb
+ * 30 levels (rather than one level every 5 seconds), ranked on its own boards.
+ */
+const EXAM_SESSION_RULES = registerRunRules({
+    id: "exam",
+    duration: 90,
+    difficultyStepDuration: 3,
+    maxLevel: 30,
+    board: "EXAM"
+});
+
+/**
+ * "Daily exam": the fixed rule set every daily run is played under, a 2-minute run on a
+ * seed derived from the date (see Daily.js). Daily runs are ranked on per-day boards by
+ * the match controller rather than through a rules board, so ghost races of daily
+ * replays stay unranked.
+ */
+const DAILY_EXAM_RULES = registerRunRules({
+    id: "daily",
+    duration: 120,
+    difficultyStepDuration: 4,
+    maxLevel: 30
+});
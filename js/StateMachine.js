@@ -0,0 +1,92 @@
+/**
+ * Defines the StateMachine object: named states, guarded transitions, and enter/exit hooks.
+ *
+ * Used at two levels:
+ *  - the application flow (Boot, Attract, Playing, Paused, Dying, Results, Highscores),
+ *    created by createAppStateMachine() in menu.js;
+ *  - the lifecycle of each Game engine (Idle, Running, Dying, Over).
+ *
+ * Replaces loose boolean flags: the current state is the single source of truth,
+ * and a transition that is not declared is refused instead of silently corrupting the flow.
+ */
+
+/**
+ * StateMachine constructor.
+ *
+ * Expected configuration:
+ *  {
+ *    initial: "StateName",
+ *    states: {
+ *      StateName: {
+ *        to: ["OtherState", ...],            // allowed targets
+ *        onEnter(from, payload) { ... },     // optional
+ *        onExit(to, payload) { ... }         // optional
+ *      }
+ *    }
+ *  }
+ *
+ * @constructor
+ * @param {Object} config - State declarations and initial state
+ */
+function StateMachine(config) {
+    this.states = config.states;
+    this.current = config.initial;
+}
+
+/**
+ * Groups StateMachine prototype methods.
+ */
+const stateMachinePrototype = {
+    /**
+     * Tells whether the machine is in one of the given states.
+     *
+     * @param {...string} names - Candidate state names
+     * @returns {boolean} True when the current state is listed
+     */
+    is(...names) {
+        return names.includes(this.current);
+    },
+
+    /**
+     * Tells whether a transition to the given state is declared from the current state.
+     *
+     * @param {string} to - Target state name
+     * @returns {boolean} True when the transition is allowed
+     */
+    can(to) {
+        const state = this.states[this.current];
+        return Boolean(state && state.to && state.to.includes(to));
+    },
+
+    /**
+     * Moves to another state, running the exit hook of the current state,
+     * then the enter hook of the target state.
+     * The new state is committed before onEnter runs, so hooks may chain transitions.
+     *
+     * @param {string} to - Target state name
+     * @param {*} [payload] - Data forwarded to both hooks
+     * @returns {boolean} True when the transition happened, false when it was refused
+     */
+    transition(to, payload) {
+        if (!this.can(to)) return false;
+
+        const from = this.current;
+        const exiting = this.states[from];
+        const entering = this.states[to];
+
+        if (exiting.onExit) {
+            exiting.onExit(to, payload);
+        }
+
+        this.current = to;
+
+        if (entering.onEnter) {
+            entering.onEnter(from, payload);
+        }
+
+        return true;
+    }
+};
+
+// Assigns the grouped methods to the StateMachine prototype.
+Object.assign(StateMachine.prototype, stateMachinePrototype);
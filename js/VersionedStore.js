@@ -0,0 +1,62 @@
+/**
+ * Defines VersionedStore: a JSON document saved under a single storage key, carrying a
+ * schema version and one top-level record object (e.g. { version: 1, semesters: {...} }).
+ *
+ * Shared by the small saved records of the game (campaign progress, daily attempts,
+ * control profiles), which only hold their own logic on top of it. A missing, corrupted
+ * or unknown document reads as an empty one, and write errors (quota, storage disabled)
+ * are ignored: the data still applies for the session.
+ */
+
+/**
+ * VersionedStore constructor.
+ *
+ * @constructor
+ * @param {Storage} storage - Backing Web Storage (normally localStorage)
+ * @param {string} key - Storage key of the document
+ * @param {number} version - Schema version written and accepted
+ * @param {string} field - Name of the record object the document holds
+ */
+function VersionedStore(storage, key, version, field) {
+    this.storage = storage;
+    this.key = key;
+    this.version = version;
+    this.field = field;
+}
+
+/**
+ * Groups VersionedStore prototype methods.
+ */
+const versionedStorePrototype = {
+    /**
+     * Reads the document, or returns an empty one when it is missing, corrupted, of
+     * another version, or lacks its record object.
+     *
+     * @returns {Object} Document ({ version, [field]: Object })
+     */
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key));
+
+            if (data && data.version === this.version && data[this.field] && typeof data[this.field] === "object") {
+                return data;
+            }
+        } catch (e) {}
+
+        return { version: this.version, [this.field]: {} };
+    },
+
+    /**
+     * Writes the document, ignoring write errors.
+     *
+     * @param {Object} data - Document to save
+     */
+    save(data) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(data));
+        } catch (e) {}
+    }
+};
+
+// Assigns the grouped methods to the VersionedStore prototype.
+Object.assign(VersionedStore.prototype, versionedStorePrototype);
@@ -0,0 +1,470 @@
+/**
+ * Defines authored spawn waves: the pattern library and the WaveScheduler object that
+ * mixes them with random spawning for a Game instance.
+ *
+ * Patterns are plain data, described in data/waves.json; when the file cannot be loaded or
+ * is invalid, the built-in DEFAULT_WAVE_PATTERNS are used instead. Each one names a shape
+ * (see WAVE_SHAPES) and its parameters; the shape expands it into timed spawn events on a
+ * grid of lanes (the canvas split into note-wide columns), so the same pattern adapts to
+ * both canvas sizes.
+ *
+ * Between waves, notes keep spawning at random. The rest period shrinks and the library
+ * of eligible patterns grows as the difficulty level rises. While a wave plays, random
+ * spawning is scaled by the pattern's "ambient" factor (0 leaves the screen to the wave).
+ *
+ * Waves run on simulated time and draw from the game's seeded generator, so they pause
+ * with the game and replay identically.
+ *
+ * File layout (JSON):
+ *  {
+ *    version: 1,
+ *    patterns: {
+ *      column: { shape: "column", minLevel, weight, ambient, type, count, interval },
+ *      ...
+ *    }
+ *  }
+ */
+
+/**
+ * Default location of the pattern definitions and the file layout version.
+ */
+const WAVE_PATTERNS_URL = "./data/waves.json";
+const WAVE_PATTERNS_VERSION = 1;
+
+/**
+ * Built-in patterns (mirrors data/waves.json), keyed by pattern identifier.
+ *  - shape: key of WAVE_SHAPES;
+ *  - minLevel: first difficulty level at which the pattern may be picked;
+ *  - weight: relative probability among eligible patterns;
+ *  - ambient: factor applied to random spawning while the wave plays;
+ *  - label: optional banner announced when the wave starts;
+ *  - type: note type name, or "random" for the weighted picker;
+ *  - movement: optional movement declaration for the notes of the wave (see compileMovement);
+ *    wave notes ignore the movement of their note type and fall straight by default, so
+ *    the authored layout holds;
+ *  - speed: optional position in the falling speed range (0 slowest, 1 fastest, default 0.5),
+ *    shared by every note of the wave so its layout holds while falling;
+ *  - other keys are shape parameters (durations in seconds, widths in lanes).
+ */
+const DEFAULT_WAVE_PATTERNS = {
+    version: 1,
+    patterns: {
+        column: {
+            shape: "column",
+            minLevel: 1,
+            weight: 3,
+            ambient: 0.5,
+            type: "random",
+            count: 5,
+            interval: 0.3
+        },
+        zigzag: {
+            shape: "zigzag",
+            minLevel: 3,
+            weight: 2,
+            ambient: 0.5,
+            type: "random",
+            count: 9,
+            interval: 0.22,
+            span: 5
+        },
+        wallOfF: {
+            shape: "wall",
+            label: "WALL OF F",
+            minLevel: 5,
+            weight: 2,
+            ambient: 0,
+            type: "F",
+            rows: 3,
+            rowInterval: 1.2,
+            gap: 3,
+            drift: 1
+        },
+        examRush: {
+            shape: "rush",
+            label: "EXAM RUSH!",
+            minLevel: 8,
+            weight: 1,
+            ambient: 0,
+            type: "random",
+            count: 18,
+            duration: 3
+        }
+    }
+};
+
+/**
+ * Pattern library in use, keyed by pattern identifier: the built-in patterns until
+ * data/waves.json is loaded (see loadWavePatterns). Engines and rule sets read it,
+ * so loading fills it in place.
+ */
+const WAVE_PATTERNS = { ...DEFAULT_WAVE_PATTERNS.patterns };
+
+/**
+ * Rest period (seconds of random spawning) before each wave:
+ * `base - perLevel * level`, never below `min`.
+ */
+const WAVE_REST = { base: 12, perLevel: 0.5, min: 4 };
+
+/**
+ * Time (seconds) a wave banner stays on screen.
+ */
+const WAVE_BANNER_DURATION = 1.5;
+
+/**
+ * Shape registry.
+ * Each entry validates the shape parameters of a pattern (returning an error message, or
+ * null when valid) and builds its spawn events: [{ at, lane, type }], `at` being the delay
+ * in seconds from the start of the wave.
+ */
+const WAVE_SHAPES = {
+    // Notes falling one after another in a single lane.
+    column: {
+        validate: (p) => positiveInteger(p, "count") ?? positiveNumber(p, "interval"),
+        build: (p, lanes, rng) => {
+            const lane = Math.floor(rng.next() * lanes);
+            return Array.from({ length: p.count }, (_, i) => ({ at: i * p.interval, lane, type: p.type }));
+        }
+    },
+    // Notes sweeping across `span` lanes and back.
+    zigzag: {
+        validate: (p) => positiveInteger(p, "count") ?? positiveNumber(p, "interval") ?? positiveInteger(p, "span"),
+        build: (p, lanes, rng) => {
+            const span = Math.min(p.span, lanes);
+            const first = Math.floor(rng.next() * (lanes - span + 1));
+            const period = Math.max(1, 2 * (span - 1));
+
+            return Array.from({ length: p.count }, (_, i) => {
+                const phase = i % period;
+                const offset = phase < span ? phase : period - phase;
+                return { at: i * p.interval, lane: first + offset, type: p.type };
+            });
+        }
+    },
+    // Full-width rows with a gap of `gap` lanes, moving by at most `drift` lanes per row.
+    wall: {
+        validate: (p) => positiveInteger(p, "rows")
+            ?? positiveNumber(p, "rowInterval")
+            ?? positiveInteger(p, "gap")
+            ?? (Number.isInteger(p.drift) && p.drift >= 0 ? null : `"drift" must be a non-negative integer`),
+        build: (p, lanes, rng) => {
+            const gap = Math.min(p.gap, lanes);
+            const events = [];
+            let gapStart = Math.floor(rng.next() * (lanes - gap + 1));
+
+            for (let row = 0; row < p.rows; row++) {
+                if (row > 0) {
+                    const shift = Math.floor(rng.next() * (2 * p.drift + 1)) - p.drift;
+                    gapStart = Math.max(0, Math.min(lanes - gap, gapStart + shift));
+                }
+
+                for (let lane = 0; lane < lanes; lane++) {
+                    if (lane < gapStart || lane >= gapStart + gap) {
+                        events.push({ at: row * p.rowInterval, lane, type: p.type });
+                    }
+                }
+            }
+
+            return events;
+        }
+    },
+    // A dense burst of notes in random lanes.
+    rush: {
+        validate: (p) => positiveInteger(p, "count") ?? positiveNumber(p, "duration"),
+        build: (p, lanes, rng) => {
+            const events = Array.from({ length: p.count }, () => ({
+                at: rng.next() * p.duration,
+                lane: Math.floor(rng.next() * lanes),
+                type: p.type
+            }));
+
+            return events.sort((a, b) => a.at - b.at);
+        }
+    }
+};
+
+/**
+ * Checks a positive integer pattern parameter.
+ *
+ * @param {Object} pattern - Pattern definition
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function positiveInteger(pattern, key) {
+    return (Number.isInteger(pattern[key]) && pattern[key] > 0) ? null : `"${key}" must be a positive integer`;
+}
+
+/**
+ * Checks a positive numeric pattern parameter.
+ *
+ * @param {Object} pattern - Pattern definition
+ * @param {string} key - Parameter name
+ * @returns {string|null} Error message, or null when valid
+ */
+function positiveNumber(pattern, key) {
+    return (Number.isFinite(pattern[key]) && pattern[key] > 0) ? null : `"${key}" must be a positive number`;
+}
+
+/**
+ * Checks the note type a pattern spawns: "random", or the name of a note type in use.
+ *
+ * @param {Object} pattern - Pattern definition
+ * @param {string[]|null} typeNames - Names of the note types in use, null to accept any name
+ * @returns {string|null} Error message, or null when valid
+ */
+function noteTypeName(pattern, typeNames) {
+    if (typeof pattern.type !== "string" || pattern.type === "") {
+        return `"type" must be a note type name or "random"`;
+    }
+
+    return (pattern.type === "random" || typeNames === null || typeNames.includes(pattern.type))
+        ? null
+        : `unknown note type "${pattern.type}"`;
+}
+
+/**
+ * Validates a pattern library.
+ *
+ * @param {Object} patterns - Patterns keyed by identifier
+ * @param {string[]|null} [typeNames] - Names of the note types in use, null to accept any name
+ * @returns {Object} The same library
+ * @throws {Error} When a pattern is invalid (the message names the culprit)
+ */
+function validateWavePatterns(patterns, typeNames = null) {
+    for (const [id, p] of Object.entries(patterns)) {
+        if (!p || typeof p !== "object") {
+            throw new Error(`Invalid wave pattern "${id}": expected an object.`);
+        }
+
+        const shape = Object.prototype.hasOwnProperty.call(WAVE_SHAPES, p.shape) ? WAVE_SHAPES[p.shape] : null;
+
+        if (!shape) {
+            throw new Error(`Invalid wave pattern "${id}": unknown shape "${p.shape}".`);
+        }
+
+        const error = positiveInteger(p, "minLevel")
+            ?? positiveNumber(p, "weight")
+            ?? (Number.isFinite(p.ambient) && p.ambient >= 0 ? null : `"ambient" must be a non-negative number`)
+            ?? noteTypeName(p, typeNames)
+            ?? (p.speed === undefined || (p.speed >= 0 && p.speed <= 1) ? null : `"speed" must be between 0 and 1`)
+            ?? shape.validate(p);
+
+        if (error !== null) {
+            throw new Error(`Invalid wave pattern "${id}": ${error}.`);
+        }
+
+        try {
+            compileMovement(p.movement);
+        } catch (e) {
+            throw new Error(`Invalid wave pattern "${id}": ${e.message}`);
+        }
+    }
+
+    return patterns;
+}
+
+/**
+ * Validates pattern definitions.
+ *
+ * @param {Object} data - Parsed definitions file
+ * @param {string[]|null} [typeNames] - Names of the note types in use, null to accept any name
+ * @returns {Object} Patterns keyed by identifier
+ * @throws {Error} When the definitions are invalid (the message names the culprit)
+ */
+function compileWavePatterns(data, typeNames = null) {
+    if (!data || typeof data !== "object" || !data.patterns || typeof data.patterns !== "object"
+        || Array.isArray(data.patterns)) {
+        throw new Error(`Invalid wave patterns: missing "patterns" map.`);
+    }
+    if (data.version !== WAVE_PATTERNS_VERSION) {
+        throw new Error(`Invalid wave patterns: unsupported version ${data.version}.`);
+    }
+    if (Object.keys(data.patterns).length === 0) {
+        throw new Error("Invalid wave patterns: the map is empty.");
+    }
+
+    return validateWavePatterns(data.patterns, typeNames);
+}
+
+/**
+ * Replaces the content of WAVE_PATTERNS in place, so engines and rule sets holding the
+ * library see the change.
+ *
+ * @param {Object} patterns - Validated pattern library
+ * @returns {Object} Pattern library in use (WAVE_PATTERNS)
+ */
+function replaceWavePatterns(patterns) {
+    for (const id of Object.keys(WAVE_PATTERNS)) {
+        delete WAVE_PATTERNS[id];
+    }
+
+    return Object.assign(WAVE_PATTERNS, patterns);
+}
+
+/**
+ * Loads the pattern library from a definitions file into WAVE_PATTERNS, keeping the
+ * built-in patterns when it cannot be.
+ * Never rejects: a missing or invalid file is reported in the console. A pattern spawning
+ * a note type missing from the given registry makes the file invalid.
+ * Must complete before rule sets restricting waves are compiled (see loadCampaign).
+ *
+ * @param {string} [url] - Definitions file location
+ * @param {NoteType[]|null} [noteTypes] - Note types in use, null to accept any type name
+ * @returns {Promise<Object>} Pattern library in use (WAVE_PATTERNS)
+ */
+async function loadWavePatterns(url = WAVE_PATTERNS_URL, noteTypes = null) {
+    try {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (HTTP ${response.status}).`);
+        }
+
+        replaceWavePatterns(compileWavePatterns(await response.json(), noteTypes?.map((t) => t.name) ?? null));
+    } catch (e) {
+        console.warn(`${e.message} Using the built-in wave patterns.`);
+    }
+
+    return WAVE_PATTERNS;
+}
+
+/**
+ * WaveScheduler constructor.
+ *
+ * @constructor
+ * @param {Object} [patterns] - Pattern library (defaults to WAVE_PATTERNS)
+ * @throws {Error} When the library is invalid
+ */
+function WaveScheduler(patterns = WAVE_PATTERNS) {
+    this.patterns = validateWavePatterns(patterns);
+    this.reset();
+}
+
+/**
+ * Groups WaveScheduler prototype methods.
+ */
+const waveSchedulerPrototype = {
+    /**
+     * Returns to the initial state: no wave, full rest period ahead.
+     */
+    reset() {
+        this.wave = null;
+        this.restRemaining = this.getRestDuration(1);
+    },
+
+    /**
+     * Returns the rest period before the next wave at a difficulty level.
+     *
+     * @param {number} level - Difficulty level
+     * @returns {number} Rest duration in seconds
+     */
+    getRestDuration(level) {
+        return Math.max(WAVE_REST.min, WAVE_REST.base - WAVE_REST.perLevel * level);
+    },
+
+    /**
+     * Picks a pattern among those unlocked at a difficulty level, by weight.
+     *
+     * @param {number} level - Difficulty level
+     * @param {SeededRandom} rng - Gameplay generator
+     * @returns {string|null} Pattern identifier, or null when none is unlocked yet
+     */
+    pickPattern(level, rng) {
+        const eligible = Object.keys(this.patterns).filter((id) => this.patterns[id].minLevel <= level);
+        if (eligible.length === 0) return null;
+
+        const total = eligible.reduce((acc, id) => acc + this.patterns[id].weight, 0);
+        let r = rng.next() * total;
+
+        for (const id of eligible) {
+            r -= this.patterns[id].weight;
+            if (r < 0) return id;
+        }
+
+        return eligible[eligible.length - 1];
+    },
+
+    /**
+     * Starts a wave: expands the pattern into spawn events sharing the wave speed.
+     *
+     * @param {string} id - Pattern identifier
+     * @param {number} lanes - Number of lanes on the canvas
+     * @param {SeededRandom} rng - Gameplay generator
+     */
+    startWave(id, lanes, rng) {
+        const pattern = this.patterns[id];
+        const speed = pattern.speed ?? 0.5;
+        const movement = compileMovement(pattern.movement);
+
+        this.wave = {
+            id,
+            pattern,
+            events: WAVE_SHAPES[pattern.shape].build(pattern, lanes, rng).map((e) => ({ ...e, speed, movement })),
+            next: 0,
+            elapsed: 0
+        };
+    },
+
+    /**
+     * Advances the scheduler by one simulation step.
+     *
+     * @param {number} dt - Simulated time step in seconds
+     * @param {number} level - Current difficulty level
+     * @param {number} lanes - Number of lanes on the canvas
+     * @param {SeededRandom} rng - Gameplay generator
+     * @returns {Array<{at: number, lane: number, type: string, speed: number, movement: Object}>}
+     *          Spawn events due this step
+     */
+    update(dt, level, lanes, rng) {
+        if (!this.wave) {
+            this.restRemaining -= dt;
+            if (this.restRemaining > 0) return [];
+
+            const id = this.pickPattern(level, rng);
+            if (id === null) {
+                this.restRemaining = this.getRestDuration(level);
+                return [];
+            }
+
+            this.startWave(id, lanes, rng);
+        }
+
+        const wave = this.wave;
+        const due = [];
+
+        wave.elapsed += dt;
+        while (wave.next < wave.events.length && wave.events[wave.next].at < wave.elapsed) {
+            due.push(wave.events[wave.next++]);
+        }
+
+        // Rests again once the last note of the wave has spawned.
+        if (wave.next >= wave.events.length) {
+            this.wave = null;
+            this.restRemaining = this.getRestDuration(level);
+        }
+
+        return due;
+    },
+
+    /**
+     * Returns the factor applied to random spawning at the moment.
+     *
+     * @returns {number} 1 between waves, the pattern's ambient factor during one
+     */
+    getAmbientScale() {
+        return this.wave ? this.wave.pattern.ambient : 1;
+    },
+
+    /**
+     * Returns the banner of the wave that just started, if any.
+     *
+     * @returns {string|null} Banner text while it should be displayed
+     */
+    getBanner() {
+        if (!this.wave || !this.wave.pattern.label) return null;
+        return this.wave.elapsed < WAVE_BANNER_DURATION ? this.wave.pattern.label : null;
+    }
+};
+
+// Assigns the grouped methods to the WaveScheduler prototype.
+Object.assign(WaveScheduler.prototype, waveSchedulerPrototype);
@@ -46,8 +46,8 @@
 document.cookie = "easter_egg=\"Thanks for inviting this cookie in your session\"";
 
 /**
- * Defines the maximum number of highscore entries persisted in session storage.
- * Discards older or lower-ranked entries once this limit is exceeded.
+ * Defines the maximum number of highscore entries kept on each leaderboard board.
+ * Discards lower-ranked entries once this limit is exceeded.
  */
 const HIGHSCORE_LIMIT = 10;  // Number of highscores to keep
 
@@ -145,105 +145,112 @@ function change_name(user) {
 }
 
 /**
- * Retrieves the persisted highscore list from session storage.
- * Expects the list to be ordered by descending score.
+ * Retrieves the highscore board of a game mode from the persistent leaderboard.
+ * The board is ordered by descending score.
  *
- * @returns {Array<Player>} Array of Player objects
+ * @param {string} mode - Leaderboard mode (e.g. "1P", "2P")
+ * @returns {Array<Object>} Board entries ({ name, score, user, mode, seed, date })
  */
-function get_highscores() {
-    // Expected structure: [Player1, Player2, ...], ordered by score.
-
-    let scores = sessionStorage.getItem("highscores");
-
-    if (scores === null) {
-        return [];
-    } else {
-        return JSON.parse(scores);
-    }
+function get_highscores(mode) {
+    return leaderboard.getBoard(mode);
 }
 
 /**
- * Inserts a new score into the highscore list.
- * Sorts the list and persists it back into session storage.
+ * Records a new score on the board of its game mode.
+ * The leaderboard sorts the board and keeps only the top HIGHSCORE_LIMIT entries.
+ * When an online leaderboard is configured, the score is also submitted to it.
  *
  * @param {string} user - Logical player identifier
  * @param {number} score - Score to record
+ * @param {string} mode - Leaderboard mode (e.g. "1P", "2P", "1P-GPA")
+ * @param {Object} [details] - Run details stored with the entry
+ * @param {number|null} [details.seed] - Seed the run was played on
+ * @param {number} [details.bestCombo] - Longest combo of the run
+ * @param {number|null} [details.average] - Grade average of the run (ranks GPA boards)
+ * @param {number} [details.catches] - Number of grades caught
+ * @returns {number} Rank reached (0-based), or -1 when the score did not make the board
  */
-function update_highscores(user, score) {
-    let actual = get_highscores();
+function update_highscores(user, score, mode, details={}) {
     let player = new Player(get_name(user), score);
+    let entry = { ...player, ...details, user, mode, date: new Date().toISOString() };
 
-    // Appends the new highscore entry.
-    actual.push(player);
-
-    // Sorts highscores in descending order.
-    actual.sort(function (a, b) { return b.score - a.score; });
+    // Queues the score for the online board; sending happens in the background.
+    if (leaderboardClient !== null) {
+        leaderboardClient.submit(entry);
+    }
 
-    // Attempts to keep only the top entries (slice result is intentionally not reassigned).
-    actual.slice(HIGHSCORE_LIMIT);
-    
-    // Persists the updated list.
-    sessionStorage.setItem("highscores", JSON.stringify(actual));
+    return leaderboard.addEntry(entry);
 }
 
 /**
- * Marks the shared game state as active and returns information
- * about the previously stored state.
+ * Retrieves every highscore board, keyed by game mode (used by leaderboard exports).
  *
- * Uses this mechanism to coordinate two-player game-over handling
- * and ensure transition logic runs exactly once.
+ * @returns {Object} Boards keyed by mode, each ordered by descending score
+ */
+function get_all_highscores() {
+    return leaderboard.getBoards();
+}
+
+/**
+ * Merges imported highscore entries (Player records carrying a mode) into the boards.
+ * Invalid entries and entries already recorded are skipped.
  *
- * @param {string} user - Logical player identifier
- * @param {number} score - Player score at game over
- * @returns {Array} Tuple describing the previous state and stored data
+ * @param {Array<Object>} entries - Candidate entries read from an exported file
+ * @returns {{added: number, duplicates: number, invalid: number}} Merge report
  */
-function increment_game_state(user, score) {
-    let gameState = sessionStorage.getItem("game_state_boolean");
+function merge_highscores(entries) {
+    return leaderboard.merge(entries);
+}
 
-    // Marks the current state as active.
-    sessionStorage.setItem("game_state_boolean", "true");
+/**
+ * Retrieves the best recorded run kept in local storage.
+ * Serves as the default ghost for ghost races; survives browser restarts.
+ *
+ * @returns {Object|null} Validated replay object, or null when none is stored
+ */
+function get_best_replay() {
+    let stored = localStorage.getItem("best_replay");
 
-    if (gameState === "false") {
-        sessionStorage.setItem("game_state_user", user);
-        sessionStorage.setItem("game_state_score", score);
-        return [false, null, null];
+    if (stored === null) {
+        return null;
     }
-    else if (gameState === "true") {
-        let gameStateUser = sessionStorage.getItem("game_state_user");
-        let gameStateScore = sessionStorage.getItem("game_state_score");
-        return [true, gameStateUser, gameStateScore];
+
+    // Treats a corrupted or outdated entry as missing.
+    try {
+        return parseReplay(stored);
+    } catch (e) {
+        return null;
     }
 }
 
 /**
- * Resets all multiplayer coordination flags stored in session storage.
- * Calls this when fully releasing or restarting the shared game state.
+ * Stores a replay as the best run if it beats the current one.
+ *
+ * @param {Object} replay - Replay object of a finished run
  */
-function release_game_state() {
-    sessionStorage.setItem("game_state_boolean", "false");
-    sessionStorage.setItem("game_state_user", "");
-    sessionStorage.setItem("game_state_score", 0);
+function offer_best_replay(replay) {
+    let best = get_best_replay();
+
+    if (best !== null && best.score >= replay.score) {
+        return;
+    }
+
+    // Ignores quota errors: losing the ghost must never break the game-over flow.
+    try {
+        localStorage.setItem("best_replay", JSON.stringify(replay));
+    } catch (e) {}
 }
 
 /**
- * Displays the winner alert for a two-player game.
- * Compares final scores to determine the outcome.
+ * Displays the winner alert for a two-player match.
  *
- * @param {string} thisUser - First player identifier
- * @param {number} thisUserScore - First player score
- * @param {string} userFriend - Second player identifier
- * @param {number} userFriendScore - Second player score
+ * @param {Object} result - Match result produced by the MatchController
  */
-function twoPlayersWinnerAlert(thisUser, thisUserScore, userFriend, userFriendScore) {
-    if (thisUserScore > userFriendScore) {
-        let thisUsername = get_name(thisUser);
-        alert(`THE WINNER IS ${thisUsername.toUpperCase()} !`);
-    } 
-    else if (thisUserScore < userFriendScore) {
-        let userFriendUsername = get_name(userFriend);
-        alert(`THE WINNER IS ${userFriendUsername.toUpperCase()} !`);
-    } 
-    else if (thisUserScore === userFriendScore) {
+function twoPlayersWinnerAlert(result) {
+    if (result.winner === null) {
         alert(`PERFECT EQUALITY, YOU SHOULD PLAY AGAIN !`);
     }
+    else {
+        alert(`THE WINNER IS ${result.winner.name.toUpperCase()} !`);
+    }
 }
@@ -0,0 +1,42 @@
+/**
+ * Browser file helpers used by export/import actions.
+ * Keeps Blob/FileReader plumbing out of the UI handlers.
+ */
+
+/**
+ * Offers a text document to the user as a file download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the contents (e.g. "application/json")
+ */
+function downloadTextFile(filename, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    // Uses a transient anchor element to trigger the download.
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Releases the object URL once the browser has picked up the download.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Reads a user-selected file as text.
+ *
+ * @param {File} file - File obtained from an <input type="file">
+ * @returns {Promise<string>} Resolves with the file contents
+ */
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
@@ -73,12 +73,12 @@ function hideGame() {
  * and applies player-specific controls.
  *
  * @param {string} user - Player identifier ("Player 1" or "Player 2")
- * @param {number} numberOfPlayers - Total number of active players
  * @param {string} arrowLeft - Key code for left movement
  * @param {string} arrowRight - Key code for right movement
+ * @param {string} dashKey - Key code for the dash
  * @returns {Game} Fully configured Game instance
  */
-function initialiseGame(user, numberOfPlayers, arrowLeft, arrowRight) {
+function initialiseGame(user, arrowLeft, arrowRight, dashKey) {
     let canvas = null;
     let ctx = null;
     let backgroundMusic = null;
@@ -130,7 +130,7 @@ function initialiseGame(user, numberOfPlayers, arrowLeft, arrowRight) {
     badNoteSound.volume = 1;
     gameOverSound.volume = 1;
 
-    // Builds the registry of note types used by the game logic.
+    // Builds the built-in note types; replaced by data/note-types.json once loaded (see main.js).
     const noteTypes = buildNoteTypes();
 
     // Creates and configures the Game instance with all required dependencies.
@@ -153,10 +153,11 @@ function initialiseGame(user, numberOfPlayers, arrowLeft, arrowRight) {
         noteHeight: 80,
         caracterWidth: 150,
         caracterHeight: 250,
-        numberOfPlayers,
+        character: "student",
         user,
         arrowRight,
-        arrowLeft
+        arrowLeft,
+        dashKey
     });
 
     // Returns the fully initialized Game instance.
@@ -1,17 +1,37 @@
+/**
+ * Leaderboard mode of the board currently rendered in the highscores table.
+ * Lets leaderboard imports refresh the board the user is looking at.
+ */
+let displayedHighscoreMode = "1P";
+
+/**
+ * Source of the board rendered in the highscores table: "local" (this browser)
+ * or "global" (online leaderboard server, when configured).
+ */
+let displayedHighscoreSource = "local";
+
 /**
  * Displays the highscores UI section.
- * Makes the score banner, highscores container, and action button visible so the
- * user can review results and continue the flow (retry/start).
+ * Makes the score banner, highscores container, action button, replay actions,
+ * and leaderboard actions visible so the user can review results and continue the flow.
  */
 function showHighScores() {
     const score = document.getElementById("score");
     const highScores = document.getElementById("highscores");
     const button = document.getElementById("button");
+    const replayButtons = document.getElementById("replay-buttons");
+    const leaderboardButtons = document.getElementById("leaderboard-buttons");
 
     // Exposes all highscores-related UI blocks.
     score.style.display = "flex";
     highScores.style.display = "flex";
     button.style.display = "flex";
+    replayButtons.style.display = "flex";
+    leaderboardButtons.style.display = "flex";
+
+    // Offers the local/global switch only when an online leaderboard is configured.
+    const sourceButton = document.getElementById("leaderboard-source-button");
+    sourceButton.style.display = (leaderboardClient !== null) ? "inline-block" : "none";
 }
 
 /**
@@ -23,89 +43,167 @@ function hideHighScores() {
     const score = document.getElementById("score");
     const highScores = document.getElementById("highscores");
     const button = document.getElementById("button");
+    const replayButtons = document.getElementById("replay-buttons");
+    const leaderboardButtons = document.getElementById("leaderboard-buttons");
 
     // Collapses all highscores-related UI blocks.
     score.style.display = "none";
     highScores.style.display = "none";
     button.style.display = "none";
+    replayButtons.style.display = "none";
+    leaderboardButtons.style.display = "none";
+
+    document.getElementById("grade-histogram").style.display = "none";
 }
 
 /**
  * Updates the score banner text in the highscores view.
  * In multiplayer, displays the best score across both players.
+ * After a match, also displays the best combo reached.
  *
  * Supports two data sources:
- * - Session-based mode (direct=false): derives the best score from session storage.
- * - Direct mode (direct=true): derives the best score from explicit score inputs.
+ * - Match mode: derives the best score from the result of the match that just ended.
+ * - Session-based mode (no result): derives the best score from session storage.
  *
  * @param {number} numberOfPlayers - Active player count (1 or 2)
- * @param {boolean} direct - Whether scores are provided directly instead of read from session storage
- * @param {number|null} thisScore - Current player's score when using direct mode
- * @param {number|null} myUserFriendScore - Opponent score when using direct mode (multiplayer)
+ * @param {Object|null} result - Match result produced by the MatchController, if any
  */
-function set_score_text(numberOfPlayers, direct=false, thisScore=null, myUserFriendScore=null) {
+function set_score_text(numberOfPlayers, result=null) {
     // Builds the label prefix; multiplayer emphasizes a best-of summary.
     let text = "Score: ";
     let max_score = 0;
-    let scoreValue = "";
 
     const scoreValueElement = document.querySelector("#score-value");
-    
-    if (numberOfPlayers === 2) {
-        text = `Best ${text}`;
-
-        // Direct mode selects the maximum between the two provided scores.
-        if (direct) {
-            if (thisScore >= myUserFriendScore) {
-                max_score = thisScore;
-            }
-            else {
-                max_score = myUserFriendScore;
+
+    if (result !== null && result.scoring === "gpa") {
+        // GPA mode shows the best average, and why a run did not make the board.
+        let best = null;
+        let catches = 0;
+        for (const player of result.players) {
+            if (player.average !== null && (best === null || player.average > best)) {
+                best = player.average;
             }
+            catches = Math.max(catches, player.catches);
         }
+
+        const prefix = (result.players.length === 2) ? "Best GPA: " : "GPA: ";
+        const average = (best === null) ? "--.--" : best.toFixed(2);
+        const note = (catches < GPA_MIN_CATCHES) ? ` - ${GPA_MIN_CATCHES} grades needed to rank` : "";
+
+        scoreValueElement.textContent = `${prefix}${average}/20${note}`;
+        return;
     }
-    else if ((numberOfPlayers === 1) && direct) {
-        // Direct mode in single-player uses the provided score as-is.
-        max_score = thisScore;
+
+    if (result !== null) {
+        if (result.players.length === 2) {
+            text = `Best ${text}`;
+        }
+        else if (result.kind === "daily") {
+            text = result.daily.ranked ? `Daily exam ${text}` : `Daily practice (unranked) ${text}`;
+        }
+
+        // Match mode selects the maximum among the match participants.
+        let max_combo = 0;
+        for (const player of result.players) {
+            max_score = Math.max(max_score, player.score);
+            max_combo = Math.max(max_combo, player.bestCombo);
+        }
+
+        scoreValueElement.textContent = `${text}${max_score} - Best combo: ${max_combo}`;
+        return;
     }
-    
-    if (!direct) {
-        // Session-based mode reads and compares persisted per-player scores.
-        let user_score = 0;
+    else {
+        if (numberOfPlayers === 2) {
+            text = `Best ${text}`;
+        }
 
+        // Session-based mode reads and compares persisted per-player scores.
         for (let i = 1; i <= numberOfPlayers; i++) {
-            user_score = get_score_session(`Player ${i}`);
-
-            if (user_score > max_score) {
-                max_score = user_score;
-            }
+            max_score = Math.max(max_score, Number(get_score_session(`Player ${i}`)));
         }
     }
 
     // Commits the computed value to the score banner element.
-    scoreValue = text + String(max_score);
-    scoreValueElement.textContent = scoreValue;
+    scoreValueElement.textContent = text + String(max_score);
+}
+
+/**
+ * Rebuilds the highscores table for a leaderboard mode, from the selected source.
+ * The global board is fetched asynchronously; the table shows placeholders meanwhile,
+ * and a response arriving after the user switched boards is ignored.
+ *
+ * @param {string} mode - Leaderboard mode to display (e.g. "1P", "2P")
+ */
+function set_highscore_table(mode) {
+    const TITLE = document.getElementById("highscores-title");
+
+    displayedHighscoreMode = mode;
+    set_highscore_headers(mode);
+
+    // Offers to go back to the selected mode's board while a daily board is displayed.
+    document.getElementById("leaderboard-daily-button").textContent = isDailyMode(mode) ? "Selected mode" : "Today's exam";
+
+    if (displayedHighscoreSource === "global" && leaderboardClient !== null) {
+        const source = displayedHighscoreSource;
+
+        TITLE.textContent = `Global High Scores (${mode})`;
+        set_highscore_rows([]);
+
+        leaderboardClient.fetchBoard(mode)
+            .then((entries) => {
+                if (displayedHighscoreMode === mode && displayedHighscoreSource === source) {
+                    set_highscore_rows(entries);
+                }
+            })
+            .catch(() => {
+                if (displayedHighscoreMode === mode && displayedHighscoreSource === source) {
+                    TITLE.textContent = `Global High Scores (${mode}) - offline`;
+                }
+            });
+        return;
+    }
+
+    // Names the displayed board in the section title.
+    TITLE.textContent = `High Scores (${mode})`;
+    set_highscore_rows(get_highscores(mode));
 }
 
 /**
- * Rebuilds the highscores table body.
+ * Names the value columns of the highscores table after the board being displayed:
+ * score and best combo, or grade average and grades caught on GPA boards.
+ *
+ * @param {string} mode - Leaderboard mode being displayed
+ */
+function set_highscore_headers(mode) {
+    const gpa = isGpaMode(mode);
+
+    document.getElementById("highscores-score-header").textContent = gpa ? "GPA" : "Score";
+    document.getElementById("highscores-combo-header").textContent = gpa ? "Grades" : "Combo";
+}
+
+/**
+ * Rebuilds the highscores table body from board entries.
  * Renders a fixed number of rows to preserve layout stability.
  * Missing entries are represented by placeholder values.
+ * GPA boards show the grade average and the number of grades instead of score and combo.
+ *
+ * @param {Array<Object>} HIGHSCORES - Board entries, best first
  */
-function set_highscore_table() {
+function set_highscore_rows(HIGHSCORES) {
     const TABLE_BODY = document.querySelector("#highscores-table tbody");
-    const HIGHSCORES = get_highscores();
+    const gpa = isGpaMode(displayedHighscoreMode);
 
     // Clears previous rows to avoid duplication on refresh.
     TABLE_BODY.innerHTML = "";
 
     // Renders a fixed number of rows for consistent UI alignment.
-    for (let i = 0; i < 10; i++) {
+    for (let i = 0; i < HIGHSCORE_LIMIT; i++) {
         const row = document.createElement("tr");
 
         const rankCell = document.createElement("td");
         const nameCell = document.createElement("td");
         const scoreCell = document.createElement("td");
+        const comboCell = document.createElement("td");
 
         // Renders the rank label; the top row is highlighted as a "major" rank.
         if (i === 0) {
@@ -119,18 +217,31 @@ function set_highscore_table() {
         // Populates the row when a stored highscore exists at this index.
         if (HIGHSCORES.length > i) {
             nameCell.textContent = HIGHSCORES[i].name;
-            scoreCell.textContent = HIGHSCORES[i].score;
+
+            if (gpa) {
+                scoreCell.textContent = HIGHSCORES[i].average.toFixed(2);
+                comboCell.textContent = HIGHSCORES[i].catches;
+            }
+            else {
+                scoreCell.textContent = HIGHSCORES[i].score;
+                comboCell.textContent = HIGHSCORES[i].bestCombo ?? "-";
+            }
+
+            // Exposes the date of the run on hover.
+            row.title = new Date(HIGHSCORES[i].date).toLocaleString();
         } 
         else {
             // Uses placeholders when no highscore exists for this rank.
             nameCell.textContent = "-";
             scoreCell.textContent = "-";
+            comboCell.textContent = "-";
         }
 
-        // Appends cells in display order: rank, name, score.
+        // Appends cells in display order: rank, name, score, best combo.
         row.appendChild(rankCell);
         row.appendChild(nameCell);
         row.appendChild(scoreCell);
+        row.appendChild(comboCell);
 
         // Attaches the row to the table body.
         TABLE_BODY.appendChild(row);
@@ -138,44 +249,95 @@ function set_highscore_table() {
 }
 
 /**
- * Orchestrates the highscores rendering workflow.
- * Optionally updates persisted highscores, then refreshes the score banner and table.
+ * Rebuilds the grade distribution histogram shown after a GPA match:
+ * one chart per player, with a bar per grade (in note type order) scaled to the
+ * most caught grade. Hidden after points matches and outside of results.
  *
- * Supports two execution paths:
- * - Direct mode: uses explicitly provided user/score pairs (useful for multiplayer coordination).
- * - Session-based mode: reads per-player scores from session storage.
+ * @param {Object|null} result - Match result produced by the MatchController, if any
+ */
+function set_grade_histogram(result) {
+    const HISTOGRAM = document.getElementById("grade-histogram");
+
+    HISTOGRAM.replaceChildren();
+
+    if (result === null || result.scoring !== "gpa") {
+        HISTOGRAM.style.display = "none";
+        return;
+    }
+
+    const grades = game1.noteTypes.filter((type) => type.gradePoints !== null).map((type) => type.name);
+
+    for (const player of result.players) {
+        const chart = document.createElement("div");
+        chart.className = "histogram";
+
+        const title = document.createElement("div");
+        title.className = "histogram-title";
+        title.textContent = `${player.name}: ${player.catches} grades`;
+        chart.appendChild(title);
+
+        const bars = document.createElement("div");
+        bars.className = "histogram-bars";
+
+        const max = Math.max(1, ...grades.map((grade) => player.grades[grade] ?? 0));
+
+        for (const grade of grades) {
+            const count = player.grades[grade] ?? 0;
+
+            const column = document.createElement("div");
+            column.className = "histogram-column";
+
+            const countLabel = document.createElement("span");
+            countLabel.textContent = count;
+
+            // Scales bars to at most 12vh; empty grades keep a thin baseline.
+            const bar = document.createElement("div");
+            bar.className = "histogram-bar";
+            bar.style.height = `${Math.max(0.3, 12 * count / max)}vh`;
+
+            const gradeLabel = document.createElement("span");
+            gradeLabel.textContent = grade;
+
+            column.append(countLabel, bar, gradeLabel);
+            bars.appendChild(column);
+        }
+
+        chart.appendChild(bars);
+        HISTOGRAM.appendChild(chart);
+    }
+
+    HISTOGRAM.style.display = "flex";
+}
+
+/**
+ * Orchestrates the highscores rendering workflow.
+ * Optionally persists the match result, then refreshes the score banner and the
+ * board of the match mode (or of the current player count when there is no result).
  *
  * @param {number} numberOfPlayers - Active player count (1 or 2)
- * @param {boolean} update - Whether highscores should be updated before rendering
- * @param {boolean} direct - Whether the caller provides explicit score context
- * @param {string|null} thisUser - Current player identifier in direct mode
- * @param {number|null} thisScore - Current player score in direct mode
- * @param {string|null} myUserFriend - Opponent identifier in direct mode
- * @param {number|null} myUserFriendScore - Opponent score in direct mode
+ * @param {Object|null} result - Match result produced by the MatchController, if any
  */
-function printHighScores(numberOfPlayers, update, direct=false, thisUser=null, thisScore=null, myUserFriend=null, myUserFriendScore=null) {
-    // Direct mode typically occurs when multiplayer results are coordinated externally.
-    if (direct && update) {
-        // Persists highscores for the provided player context.
-        update_highscores(thisUser, thisScore);
-        if (numberOfPlayers === 2) {
-            update_highscores(myUserFriend, myUserFriendScore);
+function printHighScores(numberOfPlayers, result=null) {
+    // Persists scores only for matches that ask for it (not replays or abandoned runs).
+    if (result !== null && result.persist) {
+        for (const player of result.players) {
+            set_score_session(player.user, player.score);
+            update_highscores(player.user, player.score, result.mode, {
+                seed: result.seed,
+                bestCombo: player.bestCombo,
+                average: player.average,
+                catches: player.catches
+            });
         }
 
-        // Refreshes UI after persistence using direct-score rendering.
-        set_score_text(numberOfPlayers, direct, thisScore);
-        set_highscore_table();
-    } 
-    else {
-        // Session-based mode optionally persists highscores using stored per-player scores.
-        if (update) {
-            for (let i = 1; i <= numberOfPlayers; i++) {
-                update_highscores(`Player ${i}`, get_score_session(`Player ${i}`));
-            }
+        // Drops the boards of past daily exams once a new day's board is written.
+        if (result.kind === "daily") {
+            pruneDailyBoards(leaderboard);
         }
-
-        // Refreshes UI after optional persistence using session-derived scores.
-        set_score_text(numberOfPlayers);
-        set_highscore_table();
     }
+
+    // Refreshes UI after optional persistence.
+    set_score_text(numberOfPlayers, result);
+    set_grade_histogram(result);
+    set_highscore_table(result !== null ? result.mode : selectedLeaderboardMode());
 }
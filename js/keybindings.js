@@ -0,0 +1,211 @@
+/**
+ * Player action waiting for a key on the controls screen, or null.
+ */
+let pendingBinding = null;
+
+/**
+ * Displays the controls screen.
+ * Hides the other screens and rebuilds the bindings table.
+ * Called by the "Controls" enter hook.
+ */
+function viewControls() {
+    hideMenuButtons();
+    hideGame();
+    hideHighScores();
+
+    pendingBinding = null;
+
+    document.getElementById("controls").style.display = "flex";
+    setControlsTable();
+}
+
+/**
+ * Hides the controls screen, dropping any rebinding in progress.
+ */
+function hideControls() {
+    pendingBinding = null;
+
+    document.getElementById("controls").style.display = "none";
+}
+
+/**
+ * Rebuilds the bindings table: one row per action, one key button per player,
+ * then the pointer scheme and the character of each player. The button of the action being
+ * rebound asks for a key.
+ */
+function setControlsTable() {
+    const body = document.querySelector("#controls-table tbody");
+
+    body.replaceChildren();
+
+    for (const action of CONTROL_ACTIONS) {
+        const row = document.createElement("tr");
+
+        const name = document.createElement("td");
+        name.textContent = action.label;
+        row.appendChild(name);
+
+        for (const user of Object.keys(DEFAULT_CONTROLS)) {
+            const pending = pendingBinding?.user === user && pendingBinding.action === action.id;
+
+            const button = document.createElement("button");
+            button.className = "menu-button binding-button";
+            button.classList.toggle("pending", pending);
+            button.textContent = pending ? "Press a key" : controlProfiles.getBinding(user, action.id).label;
+            button.addEventListener("click", () => {
+                startRebinding(user, action.id);
+            });
+
+            const cell = document.createElement("td");
+            cell.appendChild(button);
+            row.appendChild(cell);
+        }
+
+        body.appendChild(row);
+    }
+
+    appendChoiceRow(body, "Mouse / touch",
+        (user) => POINTER_SCHEMES.find((s) => s.id === controlProfiles.getPointerScheme(user)).label,
+        togglePointerScheme);
+    appendChoiceRow(body, "Character",
+        (user) => CHARACTER_TUNINGS[controlProfiles.getCharacter(user)].label,
+        toggleCharacter);
+}
+
+/**
+ * Appends a bindings table row holding one choice button per player.
+ *
+ * @param {HTMLElement} body - Table body
+ * @param {string} label - Name of the choice
+ * @param {function(string): string} current - Returns the label of a player's current option
+ * @param {function(string): void} toggle - Switches a player to the next option
+ */
+function appendChoiceRow(body, label, current, toggle) {
+    const row = document.createElement("tr");
+
+    const name = document.createElement("td");
+    name.textContent = label;
+    row.appendChild(name);
+
+    for (const user of Object.keys(DEFAULT_CONTROLS)) {
+        const button = document.createElement("button");
+        button.className = "menu-button binding-button";
+        button.textContent = current(user);
+        button.addEventListener("click", () => {
+            toggle(user);
+        });
+
+        const cell = document.createElement("td");
+        cell.appendChild(button);
+        row.appendChild(cell);
+    }
+
+    body.appendChild(row);
+}
+
+/**
+ * Waits for the next key press to bind it to a player action.
+ *
+ * @param {string} user - Player identifier ("Player 1" or "Player 2")
+ * @param {string} action - Action identifier (see CONTROL_ACTIONS)
+ */
+function startRebinding(user, action) {
+    pendingBinding = { user, action };
+    setControlsTable();
+}
+
+/**
+ * Binds a key press to the action waiting for one, if any.
+ * Escape cancels; reserved keys and keys already bound to another action (of either player)
+ * are refused with an alert.
+ *
+ * @param {KeyboardEvent} event - Key press received on the controls screen
+ * @returns {boolean} True when the key press was consumed by a rebinding
+ */
+function captureBinding(event) {
+    if (pendingBinding === null) return false;
+
+    const { user, action } = pendingBinding;
+
+    if (event.code === "Escape") {
+        pendingBinding = null;
+        setControlsTable();
+        return true;
+    }
+
+    if (RESERVED_CONTROL_CODES.includes(event.code)) {
+        alert(`${controlKeyLabel(event)} IS RESERVED FOR THE MENUS !`);
+        return true;
+    }
+
+    const conflict = controlProfiles.findConflict(event.code, user, action);
+    if (conflict !== null) {
+        const label = CONTROL_ACTIONS.find((a) => a.id === conflict.action).label;
+        alert(`${controlKeyLabel(event)} IS ALREADY USED BY ${conflict.user.toUpperCase()} TO ${label.toUpperCase()} !`);
+        return true;
+    }
+
+    controlProfiles.bind(user, action, event.code, controlKeyLabel(event));
+    pendingBinding = null;
+
+    applyControls();
+    setControlsTable();
+    return true;
+}
+
+/**
+ * Switches a player to the next pointer control scheme.
+ *
+ * @param {string} user - Player identifier ("Player 1" or "Player 2")
+ */
+function togglePointerScheme(user) {
+    const index = POINTER_SCHEMES.findIndex((s) => s.id === controlProfiles.getPointerScheme(user));
+
+    controlProfiles.setPointerScheme(user, POINTER_SCHEMES[(index + 1) % POINTER_SCHEMES.length].id);
+
+    applyControls();
+    setControlsTable();
+}
+
+/**
+ * Switches a player to the next character.
+ *
+ * @param {string} user - Player identifier ("Player 1" or "Player 2")
+ */
+function toggleCharacter(user) {
+    const characters = Object.keys(CHARACTER_TUNINGS);
+    const index = characters.indexOf(controlProfiles.getCharacter(user));
+
+    controlProfiles.setCharacter(user, characters[(index + 1) % characters.length]);
+
+    applyControls();
+    setControlsTable();
+}
+
+/**
+ * Restores the default bindings, pointer schemes and characters of both players.
+ */
+function resetControls() {
+    controlProfiles.reset();
+    pendingBinding = null;
+
+    applyControls();
+    setControlsTable();
+}
+
+/**
+ * Applies the active bindings, pointer schemes and characters to both engines, with the
+ * start screen hints they generate.
+ */
+function applyControls() {
+    const hint = controlProfiles.describeMovement();
+    const dashHint = controlProfiles.describeDash();
+
+    for (const game of [game1, game2]) {
+        game.setKeyBindings(controlProfiles.getKeyCodes(game.user));
+        game.setPointerScheme(controlProfiles.getPointerScheme(game.user));
+        game.setCharacter(controlProfiles.getCharacter(game.user));
+        game.controlsHint = hint;
+        game.dashHint = dashHint;
+    }
+}
@@ -1,45 +1,137 @@
+/**
+ * Saved keyboard bindings of both players (see ControlProfiles), kept in local storage.
+ * Defaults to an AZERTY-friendly control scheme:
+ * - Player 1 is mapped to Q / D, and Z to dash
+ * - Player 2 is mapped to ArrowLeft / ArrowRight, and ArrowUp to dash
+ */
+const controlProfiles = new ControlProfiles(localStorage);
+
+/**
+ * Scoring mode of the next live runs: "points", or "gpa" to score by grade average.
+ */
+let scoringMode = "points";
+
+/**
+ * Whether the next live runs are timed exam sessions (see EXAM_SESSION_RULES) rather than
+ * endless runs.
+ */
+let examSession = false;
+
 /**
  * Global session configuration and control mappings.
- * Encodes each player definition as: [playerLabel, leftKeyCode, rightKeyCode].
- *
- * Uses an AZERTY-friendly control scheme:
- * - Player 1 is mapped to Q / D
- * - Player 2 is mapped to ArrowLeft / ArrowRight
+ * Encodes each player definition as: [playerLabel, leftKeyCode, rightKeyCode, dashKeyCode],
+ * the key codes coming from the saved bindings.
  */
 let numberOfPlayers = 1;
-let player1 = ["Player 1", "KeyA", "KeyD"];
-let player2 = ["Player 2", "ArrowLeft", "ArrowRight"];
+let player1 = ["Player 1", ...["left", "right", "dash"].map((action) => controlProfiles.getBinding("Player 1", action).code)];
+let player2 = ["Player 2", ...["left", "right", "dash"].map((action) => controlProfiles.getBinding("Player 2", action).code)];
 
 /**
- * Global runtime flags controlling application flow and input gating.
- * - preview: initial boot state where engines render without starting active gameplay
- * - isGaming: indicates whether the gameplay canvases are currently visible
- * - isPlaying: disables menu-level input while a run is in progress
+ * Application flow state machine (Boot, Attract, Highscores, Campaign, Playing, Paused, Dying, Results).
+ * Single source of truth for view switching and input gating; see createAppStateMachine().
  */
-let preview = true;
-let isGaming = true;
-let isPlaying = false;
+const appState = createAppStateMachine();
 
 // Attaches global menu-level input listeners.
 attachMenuInput();
 
+/**
+ * Persistent highscore boards (one per game mode), kept in local storage.
+ */
+const leaderboard = new LeaderboardStore(localStorage, HIGHSCORE_LIMIT);
+
+/**
+ * Saved campaign progress (passed semesters, best scores), kept in local storage.
+ */
+const campaignProgress = new CampaignProgress(localStorage);
+
+/**
+ * Campaign semesters, filled at boot from data/campaign.json (or the built-in campaign).
+ */
+let campaignSemesters = [];
+
+/**
+ * Ranked daily exam attempts already taken (player names by day), kept in local storage.
+ */
+const dailyAttempts = new DailyAttempts(localStorage);
+
+/**
+ * Root URL of the optional online leaderboard server (see server/leaderboard-server.js),
+ * e.g. "http://localhost:8787". Leave null to keep highscores local only.
+ */
+const LEADERBOARD_SERVER_URL = null;
+
+/**
+ * Online leaderboard client, or null when no server is configured.
+ * Sends any submission left queued by a previous visit.
+ */
+const leaderboardClient = (LEADERBOARD_SERVER_URL !== null)
+    ? new LeaderboardClient(LEADERBOARD_SERVER_URL, localStorage)
+    : null;
+
+if (leaderboardClient !== null && leaderboardClient.pendingCount() > 0) {
+    leaderboardClient.flush();
+}
+
 /**
  * Eagerly instantiates game engine instances so assets and audio are preloaded.
  * Each instance is bound to a specific user identifier and control mapping.
  *
- * Initializes the second engine with a fixed player-count to allow preview startup
- * and later promotion to two-player mode without re-instantiation.
+ * Initializes the second engine upfront to allow later promotion to two-player mode
+ * without re-instantiation.
+ */
+const game1 = initialiseGame(player1[0], player1[1], player1[2], player1[3]);
+const game2 = initialiseGame(player2[0], player2[1], player2[2], player2[3]);
+
+// Generates the start screen movement hint from the active bindings.
+applyControls();
+
+/**
+ * Match controller owning both engines.
+ * Starts runs, waits for every participant to be over, and produces the match result.
+ */
+const match = new MatchController([game1, game2]);
+
+/**
+ * Gamepad support: each connected pad drives the engine of its player slot
+ * (Player 1, then Player 2), and its buttons reach the menu handlers.
  */
-const game1 = initialiseGame(player1[0], numberOfPlayers, player1[1], player1[2]);
-const game2 = initialiseGame(player2[0], 2, player2[1], player2[2]);
+const gamepads = new GamepadInput([game1, game2]);
+gamepads.onButton = gamepadButtonHandler;
+gamepads.onPadLost = gamepadLostHandler;
+gamepads.attach();
 
 /**
  * Boot sequence.
- * Starts the application in preview mode so visuals, assets, and audio objects
+ * Starts both render loops on the attract screen so visuals, assets, and audio objects
  * are initialized before active gameplay begins.
  *
- * Starts the second engine as well to ensure it is immediately ready when
+ * Boots the second engine as well to ensure it is immediately ready when
  * two-player mode is enabled.
+ *
+ * Leaves "Boot" only once note types, wave patterns and the campaign are loaded from
+ * data/note-types.json, data/waves.json and data/campaign.json (or replaced by the built-in
+ * ones), so no run starts with a registry about to change. The wave patterns are checked
+ * against the note types they spawn, and the campaign is compiled after the wave patterns
+ * its semesters refer to. Should loading still fail, the attract screen opens anyway with
+ * what was loaded so far.
  */
-startGame(numberOfPlayers, preview);
-game2.start(2, preview);
+game1.boot();
+game2.boot();
+
+loadNoteTypes().then((noteTypes) => {
+    game1.setNoteTypes(noteTypes);
+    game2.setNoteTypes(noteTypes);
+
+    return loadWavePatterns(WAVE_PATTERNS_URL, noteTypes);
+}).then(() => loadCampaign()).then((semesters) => {
+    campaignSemesters = semesters;
+
+    appState.transition("Attract");
+}).catch((e) => {
+    console.error(e);
+
+    if (appState.is("Boot")) {
+        appState.transition("Attract");
+    }
+});
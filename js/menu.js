@@ -19,35 +19,117 @@ function hideMenuButtons() {
 }
 
 /**
- * Switches the UI to the highscores view and renders the current scoreboard.
- * Explicitly disables gameplay gating flags to prevent menu/state transitions
- * from colliding with active input or in-canvas logic.
+ * Builds the application flow machine.
  *
- * Additional context:
- * - `direct` and the optional user/score parameters allow passing explicit
- *   winner/score context to the highscores workflow without relying solely
- *   on session state.
+ * States:
+ *  - Boot: engines are being created and note types loaded; nothing is shown yet.
+ *  - Attract: preview screen with blinking canvases and menu buttons.
+ *  - Highscores: scoreboard opened from the attract screen, no run played yet.
+ *  - Campaign: semester list opened from the attract screen or after a semester.
+ *  - Controls: key rebinding screen opened from the attract screen.
+ *  - Playing: a run (live, watched replay, ghost race, or semester) is in progress.
+ *  - Paused: every active engine is frozen behind the pause menu.
+ *  - Dying: every player is dead; "GAME OVER" stays readable before leaving the canvases.
+ *  - Results: scoreboard shown after a run (pass/fail screen after a semester).
  *
- * @param {number} numberOfPlayers - Current player count (1 or 2)
- * @param {boolean} update - Whether highscores should be updated before rendering
- * @param {boolean} direct - Whether the caller provides explicit score context
- * @param {string|null} thisUser - Current player identifier (optional)
- * @param {number|null} thisScore - Current player score (optional)
- * @param {string|null} myUserFriend - Opponent identifier in multiplayer (optional)
- * @param {number|null} myUserFriendScore - Opponent score in multiplayer (optional)
- */
-function viewHighscores(numberOfPlayers, update, direct=false, thisUser=null, thisScore=null, myUserFriend=null, myUserFriendScore=null) {
-    // Freezes gameplay and marks the UI as outside of the game view.
-    isPlaying = false;
-    isGaming = false;
+ * Enter/exit hooks own the view switching, so callers only request transitions.
+ *
+ * @returns {StateMachine} Machine starting in "Boot"
+ */
+function createAppStateMachine() {
+    return new StateMachine({
+        initial: "Boot",
+        states: {
+            Boot: {
+                to: ["Attract"]
+            },
+            Attract: {
+                to: ["Playing", "Highscores", "Campaign", "Controls"],
+                onEnter() {
+                    viewGame(numberOfPlayers, true);
+                }
+            },
+            Highscores: {
+                to: ["Playing"],
+                onEnter() {
+                    viewHighscores(numberOfPlayers, null);
+                }
+            },
+            Campaign: {
+                to: ["Attract", "Playing"],
+                onEnter() {
+                    viewCampaign();
+                }
+            },
+            Controls: {
+                to: ["Attract"],
+                onEnter() {
+                    viewControls();
+                },
+                onExit() {
+                    hideControls();
+                }
+            },
+            Playing: {
+                to: ["Paused", "Dying"],
+                onEnter(from, payload) {
+                    // Resuming keeps the current layout; any other entry shows the run canvases.
+                    if (from !== "Paused") {
+                        viewGame(payload?.players ?? numberOfPlayers, false);
+                    }
+                }
+            },
+            Paused: {
+                to: ["Playing", "Attract"],
+                onEnter() {
+                    for (const g of match.participants) {
+                        g.pause();
+                    }
+                },
+                onExit(to) {
+                    // Quitting leaves engines paused; they are reset right after.
+                    if (to === "Playing") {
+                        for (const g of match.participants) {
+                            g.resume();
+                        }
+                    }
+                }
+            },
+            Dying: {
+                to: ["Results"]
+            },
+            Results: {
+                to: ["Playing", "Campaign"],
+                onEnter(from, result) {
+                    if (result.kind === "campaign") {
+                        viewCampaignResults(result);
+                    }
+                    else {
+                        viewHighscores(numberOfPlayers, result);
+                    }
+                }
+            }
+        }
+    });
+}
 
+/**
+ * Switches the UI to the highscores view and renders the current scoreboard.
+ * Called by the "Highscores" and "Results" enter hooks.
+ *
+ * @param {number} numberOfPlayers - Current player count (1 or 2)
+ * @param {Object|null} result - Result of the match that just ended, or null from the attract screen
+ */
+function viewHighscores(numberOfPlayers, result) {
     // Hides canvases and exposes the highscores UI elements.
     hideMenuButtons();
     hideGame(numberOfPlayers);
+    hideCampaign();
+    hideCampaignResults();
     showHighScores();
 
     // Delegates persistence and rendering to the highscores workflow.
-    printHighScores(numberOfPlayers, update, direct, thisUser, thisScore, myUserFriend, myUserFriendScore);
+    printHighScores(numberOfPlayers, result);
 
     // Background music volume.
     let bgm = game1.sfx.backgroundMusic;
@@ -57,8 +139,8 @@ function viewHighscores(numberOfPlayers, update, direct=false, thisUser=null, th
         } catch (e) {}
     }
 
-    if (numberOfPlayers === 2 && direct) {
-        twoPlayersWinnerAlert(thisUser, thisScore, myUserFriend, myUserFriendScore);
+    if (result !== null && result.players.length === 2) {
+        twoPlayersWinnerAlert(result);
     }
 }
 
@@ -66,15 +148,16 @@ function viewHighscores(numberOfPlayers, update, direct=false, thisUser=null, th
  * Switches the UI back to the gameplay view.
  * Hides the highscores panel and ensures the correct canvas layout
  * is displayed for the selected player count.
+ * Called by the "Attract" and "Playing" enter hooks.
  *
- * @param {number} numberOfPlayers - Current player count (1 or 2)
+ * @param {number} numberOfPlayers - Number of canvases to show (1 or 2)
+ * @param {boolean} preview - Whether the attract (preview) layout is requested
  */
-function viewGame(numberOfPlayers) {
-    // Marks the UI as being in gameplay mode.
-    isGaming = true;
-
-    // Ensures highscores are hidden before showing the game canvases.
+function viewGame(numberOfPlayers, preview) {
+    // Ensures highscores and campaign screens are hidden before showing the game canvases.
     hideHighScores();
+    hideCampaign();
+    hideCampaignResults();
     showGame(numberOfPlayers, preview);
 
     // Shows menu buttons only during preview mode.
@@ -87,67 +170,251 @@ function viewGame(numberOfPlayers) {
 }
 
 /**
- * Restarts an existing run after a game over.
- * Refreshes player names (session identity) and resets engine state
- * for the active number of players.
+ * Starts a real run from the attract, highscores, or results screen.
+ * Refreshes player names (session identity), switches to the run layout,
+ * and lets the match controller start the engines on a shared seed, in the selected scoring
+ * mode, as an endless run or a timed exam session.
  *
  * @param {number} numberOfPlayers - Current player count (1 or 2)
  */
-function restartGame(numberOfPlayers) {
-    // Re-enables menu-gated controls disabled during gameplay.
-    isPlaying = true;
-
-    // Prompts again for player display names to allow quick identity changes.
+function startGame(numberOfPlayers) {
+    // Prompts for player display names to allow quick identity changes.
     change_name(player1[0]);
     if (numberOfPlayers === 2) {
         change_name(player2[0])
     }
 
-    // Ensures the UI is back in gameplay mode before restarting engines.
-    viewGame(numberOfPlayers);
+    // Switches the UI into gameplay mode prior to starting engines.
+    if (!appState.transition("Playing")) return;
 
-    // Restarts engine instances relevant to the active player count.
-    game1.restart();
-    if (numberOfPlayers === 2) {
-        game2.restart();
+    match.start(numberOfPlayers, scoringMode, examSession ? EXAM_SESSION_RULES : null);
+}
+
+/**
+ * Pauses every active engine together, so both players freeze at the same instant.
+ * Ignored outside of a run, or when no player is still alive.
+ */
+function pauseGames() {
+    if (!appState.is("Playing")) return;
+
+    const running = match.participants.some((g) => g.phase.is("Running"));
+    if (!running) return;
+
+    appState.transition("Paused");
+}
+
+/**
+ * Resumes every active engine together.
+ */
+function resumeGames() {
+    appState.transition("Playing");
+}
+
+/**
+ * Moves the pause menu selection on every active canvas, keeping them in sync.
+ *
+ * @param {number} delta - Offset to apply (e.g. -1 for up, +1 for down)
+ */
+function movePauseSelection(delta) {
+    for (const g of match.participants) {
+        g.movePauseSelection(delta);
     }
 }
 
 /**
- * Starts the game either in preview mode (no active session)
- * or as a real run with gameplay fully enabled.
+ * Executes a pause menu entry (see PAUSE_MENU_OPTIONS).
  *
- * In non-preview mode, gameplay gating is enabled and player names are resolved.
+ * @param {number} index - Entry index; defaults to the current selection
+ */
+function confirmPauseSelection(index = game1.pauseMenuIndex) {
+    if (index === 0) {
+        resumeGames();
+    }
+    else if (index === 1) {
+        restartFromPause();
+    }
+    else if (index === 2) {
+        quitToMenu();
+    }
+}
+
+/**
+ * Restarts the current match from the pause menu, keeping its kind
+ * (live run, watched replay, ghost race, semester, or daily exam practice) and without renaming players.
+ */
+function restartFromPause() {
+    if (!appState.transition("Playing")) return;
+
+    match.restart();
+}
+
+/**
+ * Abandons the current run from the pause menu and returns to the preview screen.
+ * The abandoned run is not recorded in the highscores.
+ */
+function quitToMenu() {
+    // Restores the preview layout first so engines re-center on the final canvas size.
+    if (!appState.transition("Attract")) return;
+
+    match.abandon();
+}
+
+/**
+ * Plays a recorded run back on the Player 1 canvas.
  *
- * @param {number} numberOfPlayers - Current player count (1 or 2)
- * @param {boolean} preview - Whether this start is a preview boot
- */
-function startGame(numberOfPlayers, preview) {
-    // Real run: enables gameplay and resolves player identities.
-    if (!preview) {
-        isPlaying = true;
-        change_name(player1[0]);
-        if (numberOfPlayers === 2) {
-            change_name(player2[0])
+ * @param {Object} replay - Validated replay object
+ */
+function watchReplay(replay) {
+    // Shows a single canvas resized to the recorded dimensions before resetting the engine.
+    if (!appState.transition("Playing", { players: 1 })) return;
+
+    const canvas = game1.canvas;
+    canvas.width = replay.canvasWidth;
+    canvas.height = replay.canvasHeight;
+
+    match.watch(replay);
+}
+
+/**
+ * Starts a 1P run racing a ghost that replays a recorded run.
+ * The run uses the replay's seed and canvas size so both face the same rain of notes.
+ *
+ * @param {Object} replay - Validated replay object driving the ghost
+ */
+function startGhostRace(replay) {
+    if (numberOfPlayers !== 1) {
+        alert("GHOST RACES ARE PLAYED IN 1 PLAYER MODE !");
+        return;
+    }
+
+    change_name(player1[0]);
+
+    if (!appState.transition("Playing", { players: 1 })) return;
+
+    const canvas = game1.canvas;
+    canvas.width = replay.canvasWidth;
+    canvas.height = replay.canvasHeight;
+
+    match.raceGhost(replay);
+}
+
+/**
+ * Races the best run stored locally, if any.
+ */
+function wantToRaceBestGhostHandler() {
+    const best = get_best_replay();
+
+    if (best === null) {
+        alert("NO BEST RUN RECORDED YET !");
+        return;
+    }
+
+    startGhostRace(best);
+}
+
+/**
+ * Exports the last recorded run of each active player as a JSON file.
+ */
+function wantToExportReplayHandler() {
+    const games = (numberOfPlayers === 2) ? [game1, game2] : [game1];
+    const replays = games.map((g) => g.lastReplay).filter((r) => r !== null);
+
+    if (replays.length === 0) {
+        alert("NO RECORDED RUN TO EXPORT YET !");
+        return;
+    }
+
+    for (const replay of replays) {
+        downloadTextFile(replayFileName(replay), serializeReplay(replay), "application/json");
+    }
+}
+
+/**
+ * Imports a replay file selected by the user, then watches it or races it as a ghost.
+ * Reports invalid files without leaving the highscores view.
+ *
+ * @param {File} file - Replay file chosen in the file picker
+ * @param {string} purpose - "watch" to play it back, "race" to race its ghost
+ */
+async function wantToImportReplayHandler(file, purpose) {
+    try {
+        const replay = parseReplay(await readTextFile(file));
+
+        if (purpose === "race") {
+            startGhostRace(replay);
         }
-        hideMenuButtons();
-    } 
+        else {
+            watchReplay(replay);
+        }
+    } catch (e) {
+        alert(e.message.toUpperCase());
+    }
+}
+
+/**
+ * Exports every leaderboard board as a file, in JSON or CSV.
+ *
+ * @param {string} format - "json" or "csv"
+ */
+function wantToExportLeaderboardHandler(format) {
+    const boards = get_all_highscores();
+
+    if (Object.values(boards).every((board) => board.length === 0)) {
+        alert("NO HIGHSCORE TO EXPORT YET !");
+        return;
+    }
+
+    if (format === "csv") {
+        downloadTextFile(leaderboardFileName("csv"), serializeLeaderboardCsv(boards), "text/csv");
+    }
     else {
-        // Preview mode exposes menu actions.
-        showMenuButtons();
+        downloadTextFile(leaderboardFileName("json"), serializeLeaderboardJson(boards), "application/json");
     }
+}
 
-    // Switches the UI into gameplay mode prior to starting engines.
-    viewGame(numberOfPlayers, preview);
+/**
+ * Imports a leaderboard file (JSON or CSV export) and merges it into the local boards.
+ * Entries without a mode are filed under the board currently displayed.
+ *
+ * @param {File} file - Leaderboard file chosen in the file picker
+ */
+async function wantToImportLeaderboardHandler(file) {
+    try {
+        const entries = parseLeaderboardFile(await readTextFile(file), displayedHighscoreMode);
+        const report = merge_highscores(entries);
 
-    // Starts the appropriate engine instances based on the player count.
-    if (numberOfPlayers === 2) {
-        game1.start(preview);
-        game2.start(preview);
-    } 
-    else if (numberOfPlayers === 1) {
-        game1.start(preview);
+        set_highscore_table(displayedHighscoreMode);
+
+        alert(`${report.added} SCORE(S) IMPORTED, ${report.duplicates} DUPLICATE(S) AND ${report.invalid} INVALID ENTRY(IES) SKIPPED !`);
+    } catch (e) {
+        alert(e.message.toUpperCase());
+    }
+}
+
+/**
+ * Switches the highscores table between today's daily exam board and the board of the
+ * runs selected in the menu.
+ */
+function wantToToggleDailyBoardHandler() {
+    set_highscore_table(isDailyMode(displayedHighscoreMode) ? selectedLeaderboardMode() : dailyLeaderboardMode(dailyDateKey()));
+}
+
+/**
+ * Switches the highscores table between the local board and the online (global) board.
+ */
+function wantToToggleLeaderboardSourceHandler() {
+    const sourceButton = document.getElementById("leaderboard-source-button");
+
+    if (displayedHighscoreSource === "local") {
+        displayedHighscoreSource = "global";
+        sourceButton.textContent = "Local scores";
+    }
+    else {
+        displayedHighscoreSource = "local";
+        sourceButton.textContent = "Global scores";
     }
+
+    set_highscore_table(displayedHighscoreMode);
 }
 
 /**
@@ -172,55 +439,221 @@ function wantToToggleNumberOfPlayersHandler() {
 
     toggleNumberOfPlayersButton.textContent = toggleNumberOfPlayersButtonText;
 
-    // Propagates the player-count change into both engine instances.
-    game1.numberOfPlayers = numberOfPlayers;
-    game2.numberOfPlayers = numberOfPlayers;
+    // Re-renders the appropriate canvas layout when currently on the attract screen.
+    if (appState.is("Attract")) {
+        viewGame(numberOfPlayers, true);
+    }
+    else {
+        // Provides immediate feedback when toggling from a scoreboard.
+        alert(`YOU WILL NOW PLAY WITH ${numberOfPlayers} PLAYER${pluralization} !`);
+    }
+}
+
+/**
+ * Shows or hides the hitbox debug overlay on both canvases.
+ * Available from any screen; the overlay stays on a frozen (paused) frame as well.
+ */
+function wantToToggleHitboxesHandler() {
+    const show = !game1.showHitboxes;
+
+    game1.showHitboxes = show;
+    game2.showHitboxes = show;
+}
+
+/**
+ * Toggles the scoring mode of the next runs between points and grade average (GPA).
+ * Updates the button label, and the board shown when toggled from the highscores screen.
+ */
+function wantToToggleScoringModeHandler() {
+    const toggleScoringModeButton = document.getElementById("toggleScoringMode-button");
+
+    if (scoringMode === "points") {
+        scoringMode = "gpa";
+        toggleScoringModeButton.textContent = "POINTS SCORING";
+    }
+    else {
+        scoringMode = "points";
+        toggleScoringModeButton.textContent = "GPA SCORING";
+    }
 
-    // Re-renders the appropriate canvas layout when currently in game view.
-    if (isGaming) {
-        viewGame(numberOfPlayers);
+    if (appState.is("Highscores")) {
+        set_highscore_table(selectedLeaderboardMode());
+    }
+    else if (!appState.is("Attract")) {
+        // Provides immediate feedback when toggling from the results screen.
+        alert((scoringMode === "gpa") ? "YOU WILL NOW BE SCORED BY GRADE AVERAGE !" : "YOU WILL NOW BE SCORED BY POINTS !");
     }
+}
 
-    // Provides immediate feedback when toggling outside of gameplay.
-    if (!isGaming) {
-        alert(`YOU WILL NOW PLAY WITH ${numberOfPlayers} PLAYER${pluralization} !`);
+/**
+ * Toggles the next runs between endless runs and timed exam sessions.
+ * Updates the button label, and the board shown when toggled from the highscores screen.
+ */
+function wantToToggleExamSessionHandler() {
+    const toggleExamSessionButton = document.getElementById("toggleExamSession-button");
+
+    examSession = !examSession;
+    toggleExamSessionButton.textContent = examSession ? "ENDLESS RUN" : "EXAM SESSION";
+
+    if (appState.is("Highscores")) {
+        set_highscore_table(selectedLeaderboardMode());
+    }
+    else if (!appState.is("Attract")) {
+        // Provides immediate feedback when toggling from the results screen.
+        alert(examSession ? `YOU WILL NOW PLAY ${EXAM_SESSION_RULES.runDuration} SECOND EXAM SESSIONS !` : "YOU WILL NOW PLAY ENDLESS RUNS !");
     }
 }
 
+/**
+ * Returns the leaderboard mode of the runs currently selected in the menu
+ * (player count, scoring mode, endless run or exam session).
+ *
+ * @returns {string} Mode identifier (see leaderboardModeFor)
+ */
+function selectedLeaderboardMode() {
+    return leaderboardModeFor(numberOfPlayers, scoringMode, examSession ? EXAM_SESSION_RULES.board : null);
+}
+
 /**
  * Handles the primary start/restart intent.
  * Uses Enter, click, or equivalent actions to advance the main flow.
  */
 function wantToStartHandler() {
-    // Preview mode advances into a real run; otherwise triggers a restart.
-    if (preview) {
-        preview = false;
-        startGame(numberOfPlayers, preview);
+    // Goes on with the campaign from a semester pass/fail screen.
+    if (appState.is("Results") && match.kind === "campaign") {
+        continueCampaign();
+    }
+    // Starts a run from any menu screen (attract, highscores, or results).
+    else if (isInMenu()) {
+        startGame(numberOfPlayers);
+    }
+}
+
+/**
+ * Starts today's daily exam on the Player 1 canvas.
+ * The first attempt of the day is ranked and spent as soon as it starts; later ones are
+ * unranked practice, offered after a confirmation.
+ */
+function wantToPlayDailyHandler() {
+    const today = dailyDateKey();
+    const name = change_name(player1[0]);
+    const ranked = !dailyAttempts.hasRanked(today, name);
+
+    if (!ranked && !confirm(`YOU ALREADY TOOK TODAY'S EXAM, ${name.toUpperCase()} ! PRACTICE RUNS ARE NOT RANKED. PLAY ANYWAY ?`)) {
+        return;
+    }
+
+    if (!appState.transition("Playing", { players: 1 })) return;
+
+    if (ranked) {
+        dailyAttempts.markRanked(today, name);
     }
-    else if (!isGaming) {
-        restartGame(numberOfPlayers);
+
+    match.playDaily(today, ranked);
+}
+
+/**
+ * Opens the campaign semester list from the attract screen.
+ */
+function wantToSeeCampaignHandler() {
+    if (campaignSemesters.length === 0) {
+        alert("THE CAMPAIGN IS NOT AVAILABLE !");
+        return;
     }
+
+    appState.transition("Campaign");
+}
+
+/**
+ * Opens the key rebinding screen from the attract screen.
+ */
+function wantToSeeControlsHandler() {
+    appState.transition("Controls");
+}
+
+/**
+ * Tells whether the application is on a menu screen, outside of any run.
+ * Menu-level shortcuts are only processed there.
+ *
+ * @returns {boolean} True on the attract, highscores, or results screen
+ */
+function isInMenu() {
+    return appState.is("Attract", "Highscores", "Results");
 }
 
 /**
  * Handles the request to view highscores.
- * In preview mode, it navigates directly to highscores.
+ * On the attract screen, it navigates directly to highscores.
  * During gameplay, it forces a game-over transition.
  */
 function wantToSeeHighScoresHandler() {
     // Uses Space or UI buttons as a secondary action.
-    if (preview) {
-        viewHighscores(numberOfPlayers, false);
+    if (appState.is("Attract")) {
+        appState.transition("Highscores");
     }
-    else {
+    else if (appState.is("Playing")) {
         // Forces game over without immediately updating highscores.
-        game1.gameOver(false);
-        if (numberOfPlayers === 2) {
-            game2.gameOver(false);
+        for (const g of match.participants) {
+            g.gameOver(false);
         }
     }
 }
 
+/**
+ * Maps a gamepad button press to the action of the current screen, like the keyboard:
+ * A or Start starts a run (or the next semester), Y or Back opens the highscores,
+ * Start pauses a run, and the pause menu is driven with the d-pad, A and B.
+ *
+ * @param {string} button - Button name (see GAMEPAD_BUTTONS)
+ */
+function gamepadButtonHandler(button) {
+    if (isInMenu()) {
+        if (button === "a" || button === "start") {
+            wantToStartHandler();
+        }
+        else if (button === "y" || button === "back") {
+            wantToSeeHighScoresHandler();
+        }
+    }
+    else if (appState.is("Campaign")) {
+        if (button === "a" || button === "start") {
+            playSemester(nextSemesterIndex());
+        }
+        else if (button === "b") {
+            appState.transition("Attract");
+        }
+    }
+    else if (appState.is("Paused")) {
+        if (button === "start" || button === "b") {
+            resumeGames();
+        }
+        else if (button === "up") {
+            movePauseSelection(-1);
+        }
+        else if (button === "down") {
+            movePauseSelection(1);
+        }
+        else if (button === "a") {
+            confirmPauseSelection();
+        }
+    }
+    else if (appState.is("Playing") && button === "start") {
+        pauseGames();
+    }
+}
+
+/**
+ * Pauses the run when a player loses their gamepad mid-run (unplugged, or out of battery),
+ * so they can plug it back in without being hit meanwhile.
+ *
+ * @param {number} slot - Player slot of the lost pad (0 for Player 1, 1 for Player 2)
+ */
+function gamepadLostHandler(slot) {
+    if (match.participants.includes(gamepads.games[slot])) {
+        pauseGames();
+    }
+}
+
 /**
  * Attaches global menu-level input listeners.
  * Handles keyboard and pointer interactions used outside of active gameplay.
@@ -229,14 +662,24 @@ function attachMenuInput() {
 
     /**
      * Global keyboard listener for menu navigation and meta-actions.
-     * Disabled while `isPlaying` is true to avoid interfering with in-game controls.
+     * Menu shortcuts are disabled during a run to avoid interfering with in-game controls.
      */
     document.addEventListener("keydown", (event) => {
+        // Toggles the hitbox debug overlay from any screen.
+        if (event.code === "F2") {
+            wantToToggleHitboxesHandler();
+        }
         // Processes meta-actions only when no run is actively in progress.
-        if (!isPlaying) {
+        else if (isInMenu()) {
             if (event.code === "KeyP") {
                 wantToToggleNumberOfPlayersHandler();
             }
+            else if (event.code === "KeyG") {
+                wantToToggleScoringModeHandler();
+            }
+            else if (event.code === "KeyE") {
+                wantToToggleExamSessionHandler();
+            }
             else if (event.code === "Enter") {
                 wantToStartHandler();
             }
@@ -244,24 +687,81 @@ function attachMenuInput() {
                 wantToSeeHighScoresHandler();
             }
         }
+        // Plays the next semester on Enter, or leaves the semester list on Escape.
+        else if (appState.is("Campaign")) {
+            if (event.code === "Enter") {
+                playSemester(nextSemesterIndex());
+            }
+            else if (event.code === "Escape") {
+                appState.transition("Attract");
+            }
+        }
+        // Binds the pressed key to the action waiting for one, or leaves the controls screen on Escape.
+        else if (appState.is("Controls")) {
+            if (!captureBinding(event) && event.code === "Escape") {
+                appState.transition("Attract");
+            }
+        }
+        // Navigates the pause menu while the run is frozen.
+        else if (appState.is("Paused")) {
+            if (event.code === "Escape" || event.code === "KeyP") {
+                resumeGames();
+            }
+            else if (event.code === "ArrowUp" || event.code === "KeyW") {
+                movePauseSelection(-1);
+            }
+            else if (event.code === "ArrowDown" || event.code === "KeyS") {
+                movePauseSelection(1);
+            }
+            else if (event.code === "Enter") {
+                confirmPauseSelection();
+            }
+        }
+        // Pauses the run on Escape or P.
+        else if (appState.is("Playing") && (event.code === "Escape" || event.code === "KeyP")) {
+            pauseGames();
+        }
+    });
+
+    /**
+     * Pauses automatically when the tab is hidden or the window loses focus.
+     * Never resumes automatically: the player resumes from the pause menu.
+     */
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) {
+            pauseGames();
+        }
+    });
+
+    window.addEventListener("blur", () => {
+        pauseGames();
     });
 
     let canvas1 = document.getElementById("myCanvas1");
     let canvas2 = document.getElementById("myCanvas2");
 
-    // Maps a simple click on the canvas to the primary start/restart action.
+    // Maps a simple click on the canvas to the primary start/restart action,
+    // or to the clicked pause menu entry while paused.
     for (c of [canvas1, canvas2]) {
         c.addEventListener("click", (event) => {
-            if (!isPlaying) {
+            if (isInMenu()) {
                 wantToStartHandler();
             }
+            else if (appState.is("Paused")) {
+                const clickedGame = (event.currentTarget === canvas1) ? game1 : game2;
+                const index = clickedGame.getPauseMenuOptionAt(event.clientX, event.clientY);
+
+                if (index >= 0) {
+                    confirmPauseSelection(index);
+                }
+            }
         }, { passive: false });
     }
 
     // Maps a double-click gesture to toggling the number of players.
     for (c of [canvas1, canvas2]) {
         c.addEventListener("doucleClick", (event) => {
-            if (!isPlaying) {
+            if (isInMenu()) {
                 wantToToggleNumberOfPlayersHandler();
             }
         }, { passive: false });
@@ -286,6 +786,63 @@ function attachMenuInput() {
         wantToSeeHighScoresHandler();
     });
 
+    /**
+     * Binds the campaign button and the campaign screens' navigation buttons.
+     */
+    const campaignButton = document.getElementById("campaign-button");
+    const campaignBackButton = document.getElementById("campaign-back-button");
+    const campaignNextButton = document.getElementById("campaign-next-button");
+    const campaignRetryButton = document.getElementById("campaign-retry-button");
+    const campaignListButton = document.getElementById("campaign-list-button");
+
+    campaignButton.addEventListener("click", () => {
+        wantToSeeCampaignHandler();
+    });
+
+    campaignBackButton.addEventListener("click", () => {
+        appState.transition("Attract");
+    });
+
+    campaignNextButton.addEventListener("click", () => {
+        continueCampaign();
+    });
+
+    campaignRetryButton.addEventListener("click", () => {
+        playSemester(match.semester.index);
+    });
+
+    campaignListButton.addEventListener("click", () => {
+        appState.transition("Campaign");
+    });
+
+    /**
+     * Binds the daily exam button.
+     */
+    const dailyButton = document.getElementById("daily-button");
+
+    dailyButton.addEventListener("click", () => {
+        wantToPlayDailyHandler();
+    });
+
+    /**
+     * Binds the controls button and the controls screen's buttons.
+     */
+    const controlsButton = document.getElementById("controls-button");
+    const controlsResetButton = document.getElementById("controls-reset-button");
+    const controlsBackButton = document.getElementById("controls-back-button");
+
+    controlsButton.addEventListener("click", () => {
+        wantToSeeControlsHandler();
+    });
+
+    controlsResetButton.addEventListener("click", () => {
+        resetControls();
+    });
+
+    controlsBackButton.addEventListener("click", () => {
+        appState.transition("Attract");
+    });
+
     /**
      * Binds the player-count toggle button to switch between one and two players.
      */
@@ -294,4 +851,118 @@ function attachMenuInput() {
     toggleNumberOfPlayersButton.addEventListener("click", () => {
         wantToToggleNumberOfPlayersHandler();
     });
+
+    /**
+     * Binds the scoring mode toggle button to switch between points and grade average.
+     */
+    const toggleScoringModeButton = document.getElementById("toggleScoringMode-button");
+
+    toggleScoringModeButton.addEventListener("click", () => {
+        wantToToggleScoringModeHandler();
+    });
+
+    /**
+     * Binds the exam session toggle button to switch between endless runs and timed exam sessions.
+     */
+    const toggleExamSessionButton = document.getElementById("toggleExamSession-button");
+
+    toggleExamSessionButton.addEventListener("click", () => {
+        wantToToggleExamSessionHandler();
+    });
+
+    /**
+     * Binds the replay export button to download the last recorded run(s).
+     */
+    const exportReplayButton = document.getElementById("export-replay-button");
+
+    exportReplayButton.addEventListener("click", () => {
+        wantToExportReplayHandler();
+    });
+
+    /**
+     * Binds the replay and ghost import buttons to the hidden file picker.
+     * Remembers which button opened it, then watches or races the chosen file.
+     */
+    const importReplayButton = document.getElementById("import-replay-button");
+    const importGhostButton = document.getElementById("import-ghost-button");
+    const replayFileInput = document.getElementById("replay-file-input");
+
+    importReplayButton.addEventListener("click", () => {
+        replayFileInput.dataset.purpose = "watch";
+        replayFileInput.click();
+    });
+
+    importGhostButton.addEventListener("click", () => {
+        replayFileInput.dataset.purpose = "race";
+        replayFileInput.click();
+    });
+
+    replayFileInput.addEventListener("change", () => {
+        const file = replayFileInput.files[0];
+
+        // Clears the selection so picking the same file again still fires "change".
+        replayFileInput.value = "";
+
+        if (file) {
+            wantToImportReplayHandler(file, replayFileInput.dataset.purpose);
+        }
+    });
+
+    /**
+     * Binds the ghost race button to race the best locally recorded run.
+     */
+    const raceBestGhostButton = document.getElementById("race-best-ghost-button");
+
+    raceBestGhostButton.addEventListener("click", () => {
+        wantToRaceBestGhostHandler();
+    });
+
+    /**
+     * Binds the local/global leaderboard switch.
+     */
+    const leaderboardSourceButton = document.getElementById("leaderboard-source-button");
+
+    leaderboardSourceButton.addEventListener("click", () => {
+        wantToToggleLeaderboardSourceHandler();
+    });
+
+    /**
+     * Binds the daily board switch.
+     */
+    const leaderboardDailyButton = document.getElementById("leaderboard-daily-button");
+
+    leaderboardDailyButton.addEventListener("click", () => {
+        wantToToggleDailyBoardHandler();
+    });
+
+    /**
+     * Binds the leaderboard export buttons (JSON and CSV) and the import button.
+     */
+    const exportLeaderboardJsonButton = document.getElementById("export-leaderboard-json-button");
+    const exportLeaderboardCsvButton = document.getElementById("export-leaderboard-csv-button");
+    const importLeaderboardButton = document.getElementById("import-leaderboard-button");
+    const leaderboardFileInput = document.getElementById("leaderboard-file-input");
+
+    exportLeaderboardJsonButton.addEventListener("click", () => {
+        wantToExportLeaderboardHandler("json");
+    });
+
+    exportLeaderboardCsvButton.addEventListener("click", () => {
+        wantToExportLeaderboardHandler("csv");
+    });
+
+    importLeaderboardButton.addEventListener("click", () => {
+        leaderboardFileInput.click();
+    });
+
+    leaderboardFileInput.addEventListener("change", () => {
+        const file = leaderboardFileInput.files[0];
+
+        // Clears the selection so picking the same file again still fires "change".
+        leaderboardFileInput.value = "";
+
+        if (file) {
+            wantToImportLeaderboardHandler(file);
+        }
+    });
 }
@@ -0,0 +1,154 @@
+/**
+ * Displays the campaign semester list.
+ * Hides the other screens and rebuilds the list from the saved progress.
+ * Called by the "Campaign" enter hook.
+ */
+function viewCampaign() {
+    hideMenuButtons();
+    hideGame();
+    hideHighScores();
+    hideCampaignResults();
+
+    document.getElementById("campaign").style.display = "flex";
+    setSemesterList();
+}
+
+/**
+ * Hides the campaign semester list.
+ */
+function hideCampaign() {
+    document.getElementById("campaign").style.display = "none";
+}
+
+/**
+ * Hides the campaign pass/fail screen.
+ */
+function hideCampaignResults() {
+    document.getElementById("campaign-results").style.display = "none";
+}
+
+/**
+ * Rebuilds the semester list: one button per semester showing its objective,
+ * its duration and the saved record. Locked semesters are disabled.
+ */
+function setSemesterList() {
+    const list = document.getElementById("campaign-list");
+
+    list.replaceChildren();
+
+    campaignSemesters.forEach((semester, index) => {
+        const record = campaignProgress.getRecord(semester.id);
+        const unlocked = campaignProgress.isUnlocked(campaignSemesters, index);
+
+        let status = "LOCKED";
+        if (record?.passed) {
+            status = `PASSED - BEST ${record.bestScore}`;
+        }
+        else if (unlocked) {
+            status = (record === null) ? "NEW" : `FAILED x${record.attempts}`;
+        }
+
+        const button = document.createElement("button");
+        button.className = "menu-button semester-button";
+        button.classList.toggle("passed", Boolean(record?.passed));
+        button.disabled = !unlocked;
+
+        const title = document.createElement("span");
+        title.textContent = semester.name;
+
+        const detail = document.createElement("span");
+        detail.className = "semester-detail";
+        detail.textContent = `${semester.rules.objective.label} - ${semester.rules.runDuration}s`;
+
+        const state = document.createElement("span");
+        state.className = "semester-detail";
+        state.textContent = status;
+
+        button.append(title, detail, state);
+        button.addEventListener("click", () => {
+            playSemester(index);
+        });
+
+        list.appendChild(button);
+    });
+}
+
+/**
+ * Returns the semester offered by default: the first unlocked one not passed yet,
+ * or the last one once the whole campaign is passed.
+ *
+ * @returns {number} Semester index
+ */
+function nextSemesterIndex() {
+    const index = campaignSemesters.findIndex((semester, i) =>
+        campaignProgress.isUnlocked(campaignSemesters, i) && !campaignProgress.getRecord(semester.id)?.passed);
+
+    return (index >= 0) ? index : campaignSemesters.length - 1;
+}
+
+/**
+ * Starts a semester on the Player 1 canvas, if it is unlocked.
+ * Only runs from the campaign screens (a button activated with Enter must not start twice).
+ *
+ * @param {number} index - Semester index
+ */
+function playSemester(index) {
+    if (!appState.is("Campaign", "Results")) return;
+    if (!campaignProgress.isUnlocked(campaignSemesters, index)) return;
+
+    change_name(player1[0]);
+
+    if (!appState.transition("Playing", { players: 1 })) return;
+
+    match.playSemester(campaignSemesters[index]);
+}
+
+/**
+ * Switches to the campaign pass/fail screen after a semester run.
+ * Saves the outcome first, so a pass unlocks the next semester right away.
+ * Called by the "Results" enter hook for campaign results.
+ *
+ * @param {Object} result - Campaign match result (see MatchController)
+ */
+function viewCampaignResults(result) {
+    const player = result.players[0];
+    const next = campaignSemesters[result.semester.index + 1];
+
+    campaignProgress.record(result.semester.id, result.passed, player.score);
+
+    hideMenuButtons();
+    hideGame();
+    hideHighScores();
+    hideCampaign();
+
+    const title = document.getElementById("campaign-results-title");
+    title.textContent = `${result.semester.name} - ${result.passed ? "Passed" : "Failed"}`;
+    title.classList.toggle("failed", !result.passed);
+
+    document.getElementById("campaign-results-objective").textContent =
+        `${player.objective.label} (${player.objective.progress})`;
+    document.getElementById("campaign-results-score").textContent =
+        `Score: ${player.score} - Best combo: ${player.bestCombo}`;
+
+    // Offers the next semester only once it is unlocked.
+    const nextButton = document.getElementById("campaign-next-button");
+    nextButton.style.display = (result.passed && next) ? "inline-block" : "none";
+
+    document.getElementById("campaign-results").style.display = "flex";
+}
+
+/**
+ * Handles the primary action on the campaign pass/fail screen:
+ * goes on to the next semester after a pass, or attempts the same one again.
+ */
+function continueCampaign() {
+    const semester = match.semester;
+    const next = semester.index + 1;
+
+    if (match.result?.passed && next < campaignSemesters.length) {
+        playSemester(next);
+    }
+    else {
+        playSemester(semester.index);
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * Online leaderboard server for INSA's Grade Rain Of Death.
+ *
+ * Small dependency-free Node.js HTTP server meant to run on a local or department
+ * machine. Keeps one top-N board per game mode ("1P", "2P", "1P-GPA", ...) in a JSON file
+ * and exposes two endpoints consumed by js/LeaderboardClient.js:
+ *
+ *  - GET  /api/leaderboard?mode=1P  ->  200 { mode, entries: [{ name, score, bestCombo, average, catches, mode, seed, date }] }
+ *  - POST /api/scores               ->  201 { rank } (0-based, -1 when off the board)
+ *        body: { id, name, score, bestCombo, average, catches, mode, seed, date }
+ *
+ * GPA boards (modes ending in "-GPA") rank by grade average and only accept runs with
+ * enough grades caught, like the local boards (see js/Leaderboard.js).
+ *
+ * Submissions carry a client-generated id: a retried submission whose first attempt
+ * reached the server is acknowledged without being recorded twice.
+ *
+ * Usage:
+ *   node server/leaderboard-server.js
+ *
+ * Environment variables:
+ *   PORT              - Listening port (default 8787)
+ *   HOST              - Listening address (default 0.0.0.0)
+ *   LEADERBOARD_DATA  - Path of the JSON data file (default server/leaderboard-data.json)
+ *   LEADERBOARD_LIMIT - Entries kept per board (default 10)
+ */
+
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Server configuration, read from the environment.
+ */
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+const DATA_FILE = process.env.LEADERBOARD_DATA || path.join(__dirname, "leaderboard-data.json");
+const LIMIT = Number(process.env.LEADERBOARD_LIMIT) || 10;
+
+/**
+ * Largest accepted request body, in bytes.
+ */
+const MAX_BODY_SIZE = 4096;
+
+/**
+ * Number of recent submission ids remembered to acknowledge retries.
+ */
+const MAX_REMEMBERED_IDS = 1000;
+
+/**
+ * Suffix of the boards ranking runs by grade average, and the number of grades a run
+ * must have caught to enter them (same values as js/Leaderboard.js).
+ */
+const GPA_MODE_SUFFIX = "-GPA";
+const GPA_MIN_CATCHES = 10;
+
+/**
+ * Creates the boards map from stored boards.
+ * Boards are keyed by modes sent by clients, so the map has no prototype: modes such as
+ * "__proto__" or "constructor" are plain keys rather than inherited members.
+ *
+ * @param {Object} [stored] - Boards read from the data file
+ * @returns {Object} Boards keyed by mode (prototype-less)
+ */
+function createBoards(stored = {}) {
+    const boards = Object.create(null);
+
+    for (const [mode, board] of Object.entries(stored)) {
+        if (Array.isArray(board)) {
+            boards[mode] = board;
+        }
+    }
+
+    return boards;
+}
+
+/**
+ * Loads the data file, or starts from empty boards when it does not exist yet.
+ *
+ * @returns {{boards: Object, ids: Array<string>}} Server data
+ */
+function loadData() {
+    try {
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+
+        return {
+            boards: createBoards((data.boards && typeof data.boards === "object") ? data.boards : {}),
+            ids: Array.isArray(data.ids) ? data.ids : []
+        };
+    } catch (e) {
+        if (e.code !== "ENOENT") {
+            console.error(`Could not read ${DATA_FILE}, starting from empty boards: ${e.message}`);
+        }
+        return { boards: createBoards(), ids: [] };
+    }
+}
+
+/**
+ * Writes the data file atomically (temporary file, then rename).
+ *
+ * @param {{boards: Object, ids: Array<string>}} data - Server data
+ */
+function saveData(data) {
+    const tmp = `${DATA_FILE}.tmp`;
+
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+/**
+ * Validates a submitted score and coerces it to the stored shape.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {Object|null} Entry to store, or null when the submission is invalid
+ */
+function normalizeSubmission(body) {
+    if (!body || typeof body !== "object") return null;
+    if (typeof body.id !== "string" || body.id === "" || body.id.length > 64) return null;
+    if (typeof body.name !== "string" || body.name.trim() === "") return null;
+    if (!Number.isInteger(body.score) || body.score < 0) return null;
+    if (typeof body.mode !== "string" || !/^[A-Za-z0-9_-]{1,16}$/.test(body.mode)) return null;
+
+    const date = new Date(body.date ?? Date.now());
+    if (Number.isNaN(date.getTime())) return null;
+
+    const average = (Number.isFinite(body.average) && body.average >= 0 && body.average <= 20) ? body.average : null;
+    const catches = (Number.isInteger(body.catches) && body.catches >= 0) ? body.catches : null;
+
+    if (body.mode.endsWith(GPA_MODE_SUFFIX) && (average === null || catches === null || catches < GPA_MIN_CATCHES)) {
+        return null;
+    }
+
+    return {
+        name: body.name.trim().substring(0, 12),
+        score: body.score,
+        bestCombo: (Number.isInteger(body.bestCombo) && body.bestCombo >= 0) ? body.bestCombo : null,
+        average,
+        catches,
+        mode: body.mode,
+        seed: Number.isFinite(body.seed) ? body.seed : null,
+        date: date.toISOString()
+    };
+}
+
+/**
+ * Inserts an entry into its board, ranks the board best first, and trims it.
+ *
+ * @param {Object} boards - Boards keyed by mode
+ * @param {Object} entry - Normalized entry
+ * @returns {number} Rank reached (0-based), or -1 when the entry did not make the board
+ */
+function insertEntry(boards, entry) {
+    const board = [...(boards[entry.mode] ?? []), entry];
+
+    // Ranks by score (by average, then grades caught, on GPA boards), keeping the earliest run ahead on ties.
+    const gpa = entry.mode.endsWith(GPA_MODE_SUFFIX);
+    board.sort((a, b) => (gpa ? (b.average - a.average) || (b.catches - a.catches) : (b.score - a.score))
+        || (a.date < b.date ? -1 : (a.date > b.date ? 1 : 0)));
+    boards[entry.mode] = board.slice(0, LIMIT);
+
+    return boards[entry.mode].indexOf(entry);
+}
+
+/**
+ * Sends a JSON response with the CORS headers the game needs when served from another origin.
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} [payload] - JSON body
+ */
+function sendJson(res, status, payload) {
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+    });
+    res.end(payload === undefined ? "" : JSON.stringify(payload));
+}
+
+/**
+ * Reads and parses a JSON request body, enforcing MAX_BODY_SIZE.
+ * An oversized body stops being read and rejects with a 413 error flagged "drop": the
+ * caller answers first, then drops the connection still sending it.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                req.removeAllListeners("data");
+                req.removeAllListeners("end");
+                req.pause();
+                reject(Object.assign(new Error("Request body too large."), { status: 413, drop: true }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+            } catch (e) {
+                reject(Object.assign(new Error("Request body is not valid JSON."), { status: 400 }));
+            }
+        });
+
+        req.on("error", reject);
+    });
+}
+
+const data = loadData();
+
+/**
+ * Routes a request to the matching endpoint.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") {
+        sendJson(res, 204);
+        return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/leaderboard") {
+        const mode = url.searchParams.get("mode") || "1P";
+        sendJson(res, 200, { mode, entries: data.boards[mode] ?? [] });
+        return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/scores") {
+        const body = await readJsonBody(req);
+        const entry = normalizeSubmission(body);
+
+        if (entry === null) {
+            sendJson(res, 400, { error: "Invalid score submission." });
+            return;
+        }
+
+        // Acknowledges a retry of a submission that was already recorded.
+        if (data.ids.includes(body.id)) {
+            sendJson(res, 200, { rank: -1, duplicate: true });
+            return;
+        }
+
+        const rank = insertEntry(data.boards, entry);
+
+        data.ids.push(body.id);
+        if (data.ids.length > MAX_REMEMBERED_IDS) {
+            data.ids.splice(0, data.ids.length - MAX_REMEMBERED_IDS);
+        }
+
+        saveData(data);
+        sendJson(res, 201, { rank });
+        return;
+    }
+
+    sendJson(res, 404, { error: "Not found." });
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((e) => {
+        // Drops the connection of an unread (oversized) body once the error is sent.
+        if (e.drop) {
+            res.setHeader("Connection", "close");
+            res.on("finish", () => req.destroy());
+        }
+        if (!res.headersSent) {
+            sendJson(res, e.status ?? 500, { error: e.status ? e.message : "Internal server error." });
+        }
+        if (!e.status) {
+            console.error(e);
+        }
+    });
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Leaderboard server listening on http://${HOST}:${PORT} (data: ${DATA_FILE})`);
+});
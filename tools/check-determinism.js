@@ -0,0 +1,282 @@
+/**
+ * Determinism check for INSA's Grade Rain Of Death.
+ *
+ * Loads the engine scripts of the game (no page, no canvas) and, for each run rule set
+ * (endless, exam session, daily exam, then every campaign semester of data/campaign.json),
+ * each character and both canvas widths (one-player and two-player layouts), records a run
+ * driven by a scripted player, then plays the replay file back on a fresh engine. The
+ * playback must end on the same tick with the same score, lives and player position, or
+ * the check fails: some gameplay randomness escaped the seeded generator (see
+ * js/Random.js), or a simulation change made recordings diverge and needs a REPLAY_VERSION
+ * bump (see js/Replay.js).
+ *
+ * It first checks that the built-in definitions embedded in the scripts still match the
+ * data files they mirror, since the game falls back to them when a file cannot be loaded.
+ *
+ * Usage:
+ *   node tools/check-determinism.js [seed]
+ *
+ * Exits with status 1 when an embedded definition drifted from its file or a replay
+ * diverges. The seed (default 20240917) drives the runs
+ * and the scripted player; the daily run uses today's daily seed.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const vm = require("vm");
+
+/**
+ * Root of the game, holding index.html and the js/ folder.
+ */
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Canvas sizes of a run, as set by showGame (js/game.js): one player, then each of the
+ * two players.
+ */
+const CANVAS_SIZES = [
+    { width: 1000, height: 800 },
+    { width: 900, height: 800 }
+];
+
+/**
+ * Sprite dimensions, as set up by js/game.js.
+ */
+const SPRITE_OPTIONS = {
+    noteWidth: 80,
+    noteHeight: 80,
+    caracterWidth: 150,
+    caracterHeight: 250
+};
+
+/**
+ * Longest recorded run, in ticks (five minutes at 60 ticks per second); runs still going
+ * by then are ended like a replay running out.
+ */
+const MAX_TICKS = 5 * 60 * 60;
+
+/**
+ * Built-in definitions embedded in the scripts, with the data file each one mirrors.
+ */
+const EMBEDDED_DEFAULTS = [
+    { name: "DEFAULT_NOTE_TYPES", file: "data/note-types.json" },
+    { name: "DEFAULT_WAVE_PATTERNS", file: "data/waves.json" },
+    { name: "DEFAULT_CAMPAIGN", file: "data/campaign.json" }
+];
+
+/**
+ * Lists the engine scripts loaded by index.html, in order. Engine modules are named in
+ * PascalCase (Game.js, Note.js, ...); the lowercase page scripts (menus, storage, wiring)
+ * are left out.
+ *
+ * @returns {string[]} Script paths relative to the game root
+ */
+function engineScripts() {
+    const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+
+    return [...html.matchAll(/<script src="\.\/(js\/[A-Z][^"]*\.js)"/g)].map((match) => match[1]);
+}
+
+/**
+ * Creates a sandbox running the engine scripts.
+ * Besides the clock (animations), the engine only needs two page helpers at game over, for
+ * the player name and the best replay, which the sandbox answers without storage.
+ *
+ * @returns {vm.Context} Sandbox holding the game globals
+ */
+function createSandbox() {
+    const sandbox = vm.createContext({
+        console,
+        performance,
+        Image: function Image() {},
+        get_name: (user) => user,
+        offer_best_replay: () => {}
+    });
+
+    for (const file of engineScripts()) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), sandbox, { filename: file });
+    }
+
+    return sandbox;
+}
+
+/**
+ * Builds an engine that only simulates (no rendering context).
+ *
+ * @param {vm.Context} sandbox - Sandbox holding the game globals
+ * @param {{width: number, height: number}} size - Canvas size
+ * @param {string} character - Character identifier (see CHARACTER_TUNINGS)
+ * @returns {Object} Game instance
+ */
+function createEngine(sandbox, size, character) {
+    const Game = vm.runInContext("Game", sandbox);
+    const buildNoteTypes = vm.runInContext("buildNoteTypes", sandbox);
+
+    return new Game({
+        ...SPRITE_OPTIONS,
+        canvas: { ...size },
+        ctx: null,
+        numberOfPlayers: 1,
+        user: "Player 1",
+        sfx: {},
+        noteTypes: buildNoteTypes(),
+        character
+    });
+}
+
+/**
+ * Sets the live input of an engine for the next tick, as a player would: held keys,
+ * dashes, gamepad stick tilts and pointer positions, each kept for a random while.
+ *
+ * @param {Object} game - Game instance
+ * @param {Object} bot - Scripted player state ({ rng, ticksLeft })
+ */
+function drivePlayer(game, bot) {
+    if (bot.ticksLeft-- > 0) return;
+
+    const roll = bot.rng.next();
+
+    game.leftPressed = roll < 0.3;
+    game.rightPressed = roll >= 0.3 && roll < 0.6;
+    game.dashPressed = bot.rng.next() < 0.15;
+    game.padAxis = (roll >= 0.6 && roll < 0.75) ? Math.round((bot.rng.next() * 2 - 1) * 100) / 100 : 0;
+    game.pointerX = (roll >= 0.75 && roll < 0.85) ? Math.floor(bot.rng.next() * game.canvas.width) : null;
+
+    bot.ticksLeft = 5 + Math.floor(bot.rng.next() * 40);
+}
+
+/**
+ * Records a scripted run, then plays its replay file back on a fresh engine.
+ *
+ * @param {vm.Context} sandbox - Sandbox holding the game globals
+ * @param {{width: number, height: number}} size - Canvas size
+ * @param {Object|null} rules - Run rules, null for an endless run
+ * @param {number} seed - Run seed
+ * @param {string} character - Character identifier
+ * @param {number} botSeed - Seed of the scripted player
+ * @returns {{recorded: Object, played: Object}} End state of both runs
+ */
+function checkRun(sandbox, size, rules, seed, character, botSeed) {
+    const SeededRandom = vm.runInContext("SeededRandom", sandbox);
+    const parseReplay = vm.runInContext("parseReplay", sandbox);
+    const serializeReplay = vm.runInContext("serializeReplay", sandbox);
+
+    // Arms a run the way start() does, without the page loop.
+    const recorder = createEngine(sandbox, size, character);
+    const bot = { rng: new SeededRandom(botSeed), ticksLeft: 0 };
+
+    recorder.setRules(rules);
+    recorder.applyCharacter(character);
+    recorder.resetStateToDefaults();
+    recorder.setSeed(seed);
+    recorder.beginRecording();
+    recorder.phase.transition("Running");
+    recorder.startDifficultyRamp();
+
+    while (!recorder.isGameOver()) {
+        if (recorder.tickCount >= MAX_TICKS) {
+            recorder.lives = 0;
+            recorder.checkGameOver();
+            break;
+        }
+
+        drivePlayer(recorder, bot);
+        recorder.tick(recorder.fixedStep);
+    }
+
+    const replay = parseReplay(serializeReplay(recorder.lastReplay));
+    // Plays back on the default character: the replay brings its own.
+    const player = createEngine(sandbox, size, "student");
+
+    player.playReplay(replay);
+    while (!player.isGameOver()) {
+        player.tick(player.fixedStep);
+    }
+
+    return { recorded: endState(recorder), played: endState(player) };
+}
+
+/**
+ * Summarizes the end of a run for comparison.
+ *
+ * @param {Object} game - Game instance
+ * @returns {Object} End state
+ */
+function endState(game) {
+    return {
+        ticks: game.tickCount,
+        score: game.score,
+        lives: game.lives,
+        x: game.caracterX
+    };
+}
+
+/**
+ * Tells whether an embedded definition still matches its data file.
+ * Key order is ignored: only the loaded content matters.
+ *
+ * @param {vm.Context} sandbox - Sandbox holding the game globals
+ * @param {{name: string, file: string}} entry - Embedded definition and its data file
+ * @returns {boolean} True when both hold the same definitions
+ */
+function matchesDataFile(sandbox, entry) {
+    const embedded = JSON.parse(JSON.stringify(vm.runInContext(entry.name, sandbox)));
+    const stored = JSON.parse(fs.readFileSync(path.join(ROOT, entry.file), "utf8"));
+
+    return util.isDeepStrictEqual(embedded, stored);
+}
+
+/**
+ * Runs every check and reports the outcome.
+ */
+function main() {
+    const seed = Number(process.argv[2] ?? 20240917) >>> 0;
+    const sandbox = createSandbox();
+    const compileCampaign = vm.runInContext("compileCampaign", sandbox);
+    const dailyDateKey = vm.runInContext("dailyDateKey", sandbox);
+    const dailySeed = vm.runInContext("dailySeed", sandbox);
+
+    // Registers the shipped semesters, as loadCampaign does in the page.
+    const campaign = compileCampaign(JSON.parse(fs.readFileSync(path.join(ROOT, "data", "campaign.json"), "utf8")));
+    const runs = [
+        { name: "endless", rules: null, seed },
+        { name: "exam", rules: vm.runInContext("EXAM_SESSION_RULES", sandbox), seed },
+        { name: "daily", rules: vm.runInContext("DAILY_EXAM_RULES", sandbox), seed: dailySeed(dailyDateKey()) },
+        ...campaign.map((semester) => ({ name: semester.rules.id, rules: semester.rules, seed }))
+    ];
+    const characters = Object.keys(vm.runInContext("CHARACTER_TUNINGS", sandbox));
+
+    let failures = 0;
+
+    for (const entry of EMBEDDED_DEFAULTS) {
+        const same = matchesDataFile(sandbox, entry);
+
+        console.log(`${same ? "ok  " : "FAIL"} ${entry.name} ${same ? "matches" : "differs from"} ${entry.file}`);
+
+        if (!same) failures++;
+    }
+
+    for (const run of runs) {
+        for (const character of characters) {
+            for (const size of CANVAS_SIZES) {
+                const { recorded, played } = checkRun(sandbox, size, run.rules, run.seed, character, seed);
+                const same = JSON.stringify(recorded) === JSON.stringify(played);
+
+                console.log(`${same ? "ok  " : "FAIL"} ${run.name} (${character}) ${size.width}px: ${recorded.ticks} ticks, score ${recorded.score}`
+                    + (same ? "" : `\n     recorded ${JSON.stringify(recorded)}\n     replayed ${JSON.stringify(played)}`));
+
+                if (!same) failures++;
+            }
+        }
+    }
+
+    if (failures > 0) {
+        console.error(`${failures} check(s) failed.`);
+        process.exitCode = 1;
+    }
+}
+
+main();